@@ -0,0 +1,118 @@
+'use strict';
+
+var LRU = require('lru-cache');
+
+/**
+ * LRU cache bounded by the estimated memory of its entries, with hit, miss and eviction
+ * counters.
+ *
+ * @param {Object} options
+ * @param {String} options.name - Name of the cache in the statistics
+ * @param {Number} options.maxBytes - Maximum estimated size of the entries
+ * @param {Number} options.maxAge - Milliseconds after which an entry is stale
+ */
+function Cache(options) {
+  var self = this;
+  this.name = options.name;
+  this.maxBytes = options.maxBytes;
+
+  this.hits = 0;
+  this.misses = 0;
+  this.evictions = 0;
+
+  // set while entries are removed on purpose, the other removals are evictions
+  this.removing = false;
+
+  this.lru = LRU({
+    max: this.maxBytes,
+    maxAge: options.maxAge,
+    length: function (value, key) {
+      return Cache.sizeOf(key) + Cache.sizeOf(value);
+    },
+    dispose: function () {
+      if (!self.removing) {
+        self.evictions++;
+      }
+    }
+  });
+}
+
+// per value overhead of the JavaScript engine, in bytes
+Cache.OBJECT_OVERHEAD = 16;
+Cache.MAX_DEPTH = 8;
+
+/**
+ * Estimates the memory used by a value, in bytes
+ * @param {*} value
+ */
+Cache.sizeOf = function (value, depth) {
+  depth = depth || 0;
+  if (value === null || value === undefined) {
+    return 0;
+  }
+  if (typeof value === 'boolean') {
+    return 4;
+  }
+  if (typeof value === 'number') {
+    return 8;
+  }
+  if (typeof value === 'string') {
+    return value.length * 2;
+  }
+  if (Buffer.isBuffer(value)) {
+    return value.length + Cache.OBJECT_OVERHEAD;
+  }
+  if (typeof value !== 'object' || depth >= Cache.MAX_DEPTH) {
+    return Cache.OBJECT_OVERHEAD;
+  }
+  var size = Cache.OBJECT_OVERHEAD;
+  for (var key in value) {
+    if (value.hasOwnProperty(key)) {
+      size += key.length * 2 + Cache.sizeOf(value[key], depth + 1);
+    }
+  }
+  return size;
+};
+
+Cache.prototype.get = function (key) {
+  var value = this.lru.get(key);
+  if (value === undefined) {
+    this.misses++;
+  } else {
+    this.hits++;
+  }
+  return value;
+};
+
+Cache.prototype.set = function (key, value) {
+  if (this.lru.has(key)) {
+    this.del(key);
+  }
+  return this.lru.set(key, value);
+};
+
+Cache.prototype.del = function (key) {
+  this.removing = true;
+  this.lru.del(key);
+  this.removing = false;
+};
+
+Cache.prototype.reset = function () {
+  this.removing = true;
+  this.lru.reset();
+  this.removing = false;
+};
+
+Cache.prototype.getStats = function () {
+  return {
+    name: this.name,
+    entries: this.lru.itemCount,
+    bytes: this.lru.length,
+    maxBytes: this.maxBytes,
+    hits: this.hits,
+    misses: this.misses,
+    evictions: this.evictions
+  };
+};
+
+module.exports = Cache;
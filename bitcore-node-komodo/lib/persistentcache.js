@@ -0,0 +1,120 @@
+'use strict';
+
+var mkdirp = require('mkdirp');
+
+/**
+ * Local key-value store for chain data that no longer changes, kept across restarts. It uses
+ * the "level" module, which is only required when the store is enabled. Versions up to 7
+ * export a factory with a callback API, later ones a Level class with a promise API.
+ *
+ * @param {Object} options
+ * @param {String} options.path - Directory of the database
+ * @param {Object} options.log - Logger, errors of the store are logged and ignored
+ */
+function PersistentCache(options) {
+  this.path = options.path;
+  this.log = options.log;
+  this.db = null;
+}
+
+/**
+ * Wraps a Level database with a promise API into the callback API of older versions
+ * @param {Level} db
+ */
+PersistentCache.wrapPromises = function (db) {
+  function callbackify(promise, callback) {
+    promise.then(function (value) {
+      setImmediate(callback, null, value);
+    }, function (err) {
+      setImmediate(callback, err);
+    });
+  }
+  return {
+    open: function (callback) {
+      callbackify(db.open(), callback);
+    },
+    get: function (key, callback) {
+      callbackify(db.get(key), callback);
+    },
+    put: function (key, value, callback) {
+      callbackify(db.put(key, value), callback);
+    },
+    close: function (callback) {
+      callbackify(db.close(), callback);
+    }
+  };
+};
+
+PersistentCache.prototype.open = function (callback) {
+  var self = this;
+  var level;
+  try {
+    level = require('level');
+  } catch (e) {
+    return callback(new Error('The persistent cache needs the "level" module: npm install level'));
+  }
+  mkdirp(this.path, function (err) {
+    if (err) {
+      return callback(err);
+    }
+    var options = {
+      valueEncoding: 'json'
+    };
+    if (!level.Level) {
+      self.db = level(self.path, options, callback);
+      return;
+    }
+    var db = PersistentCache.wrapPromises(new level.Level(self.path, options));
+    db.open(function (err) {
+      if (err) {
+        return callback(err);
+      }
+      self.db = db;
+      callback();
+    });
+  });
+};
+
+/**
+ * Gets a value, or null when it is not stored or can not be read
+ * @param {String} key
+ * @param {Function} callback
+ */
+PersistentCache.prototype.get = function (key, callback) {
+  var self = this;
+  if (!this.db) {
+    return setImmediate(function () {
+      callback(null, null);
+    });
+  }
+  this.db.get(key, function (err, value) {
+    if (err && !err.notFound && err.code !== 'LEVEL_NOT_FOUND') {
+      self.log.error('Persistent cache:', err.message);
+    }
+    // level 9 and later resolve missing keys with undefined
+    callback(null, err || value === undefined ? null : value);
+  });
+};
+
+PersistentCache.prototype.put = function (key, value) {
+  var self = this;
+  if (!this.db) {
+    return;
+  }
+  this.db.put(key, value, function (err) {
+    if (err) {
+      self.log.error('Persistent cache:', err.message);
+    }
+  });
+};
+
+PersistentCache.prototype.close = function (callback) {
+  if (!this.db) {
+    return setImmediate(callback);
+  }
+  var db = this.db;
+  this.db = null;
+  db.close(callback);
+};
+
+module.exports = PersistentCache;
@@ -19,6 +19,10 @@ var errors = index.errors;
 var log = index.log;
 var utils = require('../utils');
 var Service = require('../service');
+var PersistentCache = require('../persistentcache');
+var Cache = require('../cache');
+
+var MB = 1024 * 1024;
 
 /**
  * Provides a friendly event driven API to bitcoind in Node.js. Manages starting and
@@ -28,6 +32,26 @@ var Service = require('../service');
  *
  * @param {Object} options
  * @param {Node} options.node - A reference to the node
+ * @param {Object} options.spawn - komodod to start: its "exec", the Komodo "datadir" and, for an
+ * assetchain, its "ac_name" and other "ac_*" launch parameters
+ * @param {Array} options.connect - komodod nodes to connect to, an assetchain can be given by its
+ * "ac_name" to read the RPC settings from its config file
+ * @param {Object} options.kmd - RPC settings of a KMD node used to check notarizations of an assetchain
+ * @param {Number} options.nodeCheckInterval - Milliseconds between health checks of the nodes
+ * @param {Number} options.nodeTimeout - Milliseconds after which a health check fails
+ * @param {Number} options.nodeMaxLag - Blocks a node can lag behind the best node before it is stale
+ * @param {Number} options.nodeMaxErrorRate - Share of failed recent calls that takes a node out of rotation
+ * @param {Number} options.nodeOpenTime - Milliseconds before an unhealthy node is probed again
+ * @param {Boolean} options.persistentCache - Keep final blocks and transactions on disk across restarts
+ * @param {String} options.persistentCachePath - Directory of the persistent cache
+ * @param {Number} options.persistentCacheConfirmations - Confirmations from which data is final
+ * on a chain without notarizations
+ * @param {Number} options.spentRefreshInterval - Milliseconds between checks of the unspent outputs
+ * of a transaction from the persistent cache
+ * @param {Object} options.cacheMaxBytes - Maximum size of the in-memory caches by name, in bytes
+ * @param {Number} options.zmqSilenceTimeout - Milliseconds without a ZMQ block notification after
+ * which the tip is checked over RPC
+ * @param {Number} options.zmqPollInterval - Milliseconds between RPC polls while ZMQ is silent
  */
 function Bitcoin(options) {
   if (!(this instanceof Bitcoin)) {
@@ -46,8 +70,13 @@ function Bitcoin(options) {
   this.subscriptions = {};
   this.subscriptions.rawtransaction = [];
   this.subscriptions.hashblock = [];
+  this.subscriptions.notarized = [];
   this.subscriptions.address = {};
 
+  // last notarized height reported by komodod, with the hash and txid of the notarization
+  this.notarizedHeight = 0;
+  this.lastNotarized = null;
+
   // set initial settings
   this._initDefaults(options);
 
@@ -76,7 +105,25 @@ Bitcoin.DEFAULT_TRY_ALL_INTERVAL = 60000; // 1000
 Bitcoin.DEFAULT_REINDEX_INTERVAL = 10000; // 10000
 Bitcoin.DEFAULT_START_RETRY_INTERVAL = 60000; // 5000
 Bitcoin.DEFAULT_TIP_UPDATE_INTERVAL = 15000;
+Bitcoin.DEFAULT_ZMQ_SILENCE_TIMEOUT = 180000;
+Bitcoin.DEFAULT_ZMQ_POLL_INTERVAL = 10000;
 Bitcoin.DEFAULT_TRANSACTION_CONCURRENCY = 5;
+Bitcoin.DEFAULT_RPC_BATCH_SIZE = 50;
+Bitcoin.DEFAULT_PERSISTENT_CACHE_CONFIRMATIONS = 100;
+Bitcoin.DEFAULT_SPENT_REFRESH_INTERVAL = 60000;
+Bitcoin.MAX_REORG_DEPTH = 200;
+Bitcoin.DEFAULT_NODE_CHECK_INTERVAL = 5000;
+Bitcoin.DEFAULT_NODE_TIMEOUT = 10000;
+Bitcoin.DEFAULT_NODE_MAX_LAG = 3;
+Bitcoin.DEFAULT_NODE_MAX_ERROR_RATE = 0.5;
+Bitcoin.DEFAULT_NODE_OPEN_TIME = 30000;
+Bitcoin.NODE_MAX_OPEN_TIME = 300000;
+Bitcoin.NODE_HEALTH_WINDOW = 20;
+Bitcoin.NODE_HEALTH_MIN_SAMPLES = 4;
+Bitcoin.NODE_STATE_HEALTHY = 'healthy';
+Bitcoin.NODE_STATE_STALE = 'stale';
+Bitcoin.NODE_STATE_UNHEALTHY = 'unhealthy';
+Bitcoin.NODE_STATE_PROBING = 'probing';
 Bitcoin.DEFAULT_CONFIG_SETTINGS = {
   server: 1,
   whitelist: '127.0.0.1',
@@ -109,49 +156,330 @@ Bitcoin.prototype._initDefaults = function (options) {
   this.tryAllInterval = options.tryAllInterval || Bitcoin.DEFAULT_TRY_ALL_INTERVAL;
   this.startRetryInterval = options.startRetryInterval || Bitcoin.DEFAULT_START_RETRY_INTERVAL;
 
+  // node health and circuit breaker
+  this._initNodeHealthDefaults(options);
+
+  // persistent cache, opened on start
+  this.persistentCache = null;
+  this.persistentCacheConfirmations = options.persistentCacheConfirmations ||
+    Bitcoin.DEFAULT_PERSISTENT_CACHE_CONFIRMATIONS;
+
   // rpc limits
   this.transactionConcurrency = options.transactionConcurrency || Bitcoin.DEFAULT_TRANSACTION_CONCURRENCY;
+  this.rpcBatchSize = options.rpcBatchSize || Bitcoin.DEFAULT_RPC_BATCH_SIZE;
 
   // sync progress level when zmq subscribes to events
   this.zmqSubscribeProgress = options.zmqSubscribeProgress || Bitcoin.DEFAULT_ZMQ_SUBSCRIBE_PROGRESS;
+
+  // zmq watchdog and rpc polling fallback
+  this.zmqSilenceTimeout = options.zmqSilenceTimeout || Bitcoin.DEFAULT_ZMQ_SILENCE_TIMEOUT;
+  this.zmqPollInterval = options.zmqPollInterval || Bitcoin.DEFAULT_ZMQ_POLL_INTERVAL;
+};
+
+Bitcoin.prototype._initNodeHealthDefaults = function (options) {
+  this.nodeCheckInterval = options.nodeCheckInterval || Bitcoin.DEFAULT_NODE_CHECK_INTERVAL;
+  this.nodeTimeout = options.nodeTimeout || Bitcoin.DEFAULT_NODE_TIMEOUT;
+  this.nodeMaxLag = options.nodeMaxLag || Bitcoin.DEFAULT_NODE_MAX_LAG;
+  this.nodeMaxErrorRate = options.nodeMaxErrorRate || Bitcoin.DEFAULT_NODE_MAX_ERROR_RATE;
+  this.nodeOpenTime = options.nodeOpenTime || Bitcoin.DEFAULT_NODE_OPEN_TIME;
 };
 
 Bitcoin.prototype._initCaches = function () {
+  this.caches = {};
+
   // caches valid until there is a new block
-  this.utxosCache = LRU(50000);
-  this.txidsCache = LRU(50000);
-  this.balanceCache = LRU(50000);
-  this.summaryCache = LRU(50000);
-  this.blockOverviewCache = LRU(144);
-  this.transactionDetailedCache = LRU(100000);
+  this.utxosCache = this.createCache('utxosCache', 16 * MB);
+  this.txidsCache = this.createCache('txidsCache', 16 * MB);
+  this.balanceCache = this.createCache('balanceCache', 4 * MB);
+  this.summaryCache = this.createCache('summaryCache', 16 * MB);
+  this.blockOverviewCache = this.createCache('blockOverviewCache', 16 * MB);
+  this.transactionDetailedCache = this.createCache('transactionDetailedCache', 128 * MB);
 
   // caches valid indefinitely
-  this.transactionCache = LRU(100000);
-  this.rawTransactionCache = LRU(50000);
-  this.blockCache = LRU(144);
-  this.rawBlockCache = LRU(72);
-  this.blockHeaderCache = LRU(288);
+  this.transactionCache = this.createCache('transactionCache', 64 * MB);
+  this.rawTransactionCache = this.createCache('rawTransactionCache', 32 * MB);
+  this.blockCache = this.createCache('blockCache', 64 * MB);
+  this.rawBlockCache = this.createCache('rawBlockCache', 32 * MB);
+  this.blockHeaderCache = this.createCache('blockHeaderCache', 4 * MB);
+
+  // transactions of the persistent cache with their spent outputs, kept across blocks
+  // until their spent outputs are checked again
+  this.persistedTransactionCache = this.createCache('persistedTransactionCache', 32 * MB,
+    this.options.spentRefreshInterval || Bitcoin.DEFAULT_SPENT_REFRESH_INTERVAL);
+
+  // known zmq notifications, not cached data
   this.zmqKnownTransactions = LRU(5000);
   this.zmqKnownBlocks = LRU(50);
   this.lastTip = 0;
   this.lastTipTimeout = false;
 };
 
+/**
+ * Creates an in-memory cache bounded by bytes, sized by the cacheMaxBytes option of the
+ * service, and reported by getCacheStats. Other services create their caches here too.
+ * @param {String} name - Unique name of the cache
+ * @param {Number} maxBytes - Default maximum size in bytes
+ * @param {Number} maxAge - Milliseconds after which an entry is stale
+ */
+Bitcoin.prototype.createCache = function (name, maxBytes, maxAge) {
+  var cacheMaxBytes = this.options.cacheMaxBytes || {};
+  var cache = new Cache({
+    name: name,
+    maxBytes: cacheMaxBytes[name] || maxBytes,
+    maxAge: maxAge
+  });
+  this.caches[name] = cache;
+  return cache;
+};
+
+/**
+ * Will get the statistics of the in-memory caches, by name
+ * @param {Function} callback
+ */
+Bitcoin.prototype.getCacheStats = function (callback) {
+  var stats = _.mapValues(this.caches, function (cache) {
+    return cache.getStats();
+  });
+  setImmediate(function () {
+    callback(null, stats);
+  });
+};
+
 Bitcoin.prototype._initClients = function () {
   var self = this;
   this.nodes = [];
   this.nodesIndex = 0;
   Object.defineProperty(this, 'client', {
     get: function () {
-      var client = self.nodes[self.nodesIndex].client;
-      self.nodesIndex = (self.nodesIndex + 1) % self.nodes.length;
-      return client;
+      return self._getNextNode().client;
     },
     enumerable: true,
     configurable: false
   });
 };
 
+Bitcoin.prototype._isNodeAvailable = function (node) {
+  return !node.health || node.health.state === Bitcoin.NODE_STATE_HEALTHY;
+};
+
+/**
+ * Returns the next node in rotation, skipping the nodes taken out by their health. When no
+ * node is healthy, all of them are used rather than none.
+ */
+Bitcoin.prototype._getNextNode = function () {
+  for (var i = 0; i < this.nodes.length; i++) {
+    var node = this.nodes[this.nodesIndex];
+    this.nodesIndex = (this.nodesIndex + 1) % this.nodes.length;
+    if (this._isNodeAvailable(node)) {
+      return node;
+    }
+  }
+  var fallback = this.nodes[this.nodesIndex];
+  this.nodesIndex = (this.nodesIndex + 1) % this.nodes.length;
+  return fallback;
+};
+
+Bitcoin.prototype._initNodeHealth = function (node) {
+  node.health = {
+    state: Bitcoin.NODE_STATE_HEALTHY,
+    latency: null,
+    results: [],
+    height: null,
+    lag: 0,
+    lastError: null,
+    lastErrorTime: null,
+    lastCheckTime: null,
+    openTime: this.nodeOpenTime,
+    openUntil: null
+  };
+};
+
+/**
+ * Errors returned by komodod for the call itself, like an unknown transaction, have a
+ * negative code. Anything else means the node could not answer.
+ */
+Bitcoin.prototype._isNodeError = function (err) {
+  return !!err && (typeof err.code !== 'number' || err.code >= 0);
+};
+
+Bitcoin.prototype._getNodeErrorRate = function (node) {
+  var results = node.health.results;
+  if (!results.length) {
+    return 0;
+  }
+  return _.filter(results).length / results.length;
+};
+
+Bitcoin.prototype._getNodeName = function (node) {
+  return node.client.host + ':' + node.client.port;
+};
+
+/**
+ * Records the outcome of a call to a node. A failed probe, or too many recent failures,
+ * takes the node out of rotation.
+ */
+Bitcoin.prototype._recordNodeResult = function (node, err, latency) {
+  var health = node.health;
+  if (!health) {
+    return;
+  }
+  var failed = this._isNodeError(err);
+  health.results.push(failed);
+  if (health.results.length > Bitcoin.NODE_HEALTH_WINDOW) {
+    health.results.shift();
+  }
+  health.latency = health.latency === null ? latency : Math.round(health.latency * 0.8 + latency * 0.2);
+  if (failed) {
+    health.lastError = err.message;
+    health.lastErrorTime = Date.now();
+  }
+
+  if (health.state === Bitcoin.NODE_STATE_PROBING) {
+    if (failed) {
+      this._openNode(node, Math.min(health.openTime * 2, Bitcoin.NODE_MAX_OPEN_TIME));
+    } else {
+      log.info('Komodo node ' + this._getNodeName(node) + ' is back in rotation');
+      health.state = Bitcoin.NODE_STATE_HEALTHY;
+      health.openTime = this.nodeOpenTime;
+      health.openUntil = null;
+      health.results = [];
+    }
+  } else if (failed && health.state !== Bitcoin.NODE_STATE_UNHEALTHY &&
+    health.results.length >= Bitcoin.NODE_HEALTH_MIN_SAMPLES &&
+    this._getNodeErrorRate(node) >= this.nodeMaxErrorRate) {
+    this._openNode(node, this.nodeOpenTime);
+  }
+};
+
+Bitcoin.prototype._openNode = function (node, openTime) {
+  var health = node.health;
+  log.warn('Komodo node ' + this._getNodeName(node) + ' is out of rotation for ' + openTime + 'ms: ' +
+    health.lastError);
+  health.state = Bitcoin.NODE_STATE_UNHEALTHY;
+  health.openTime = openTime;
+  health.openUntil = Date.now() + openTime;
+};
+
+/**
+ * Checks the tip height and latency of a node. Unhealthy nodes are left alone until their
+ * open time is over, then probed: one success puts them back in rotation.
+ */
+Bitcoin.prototype._checkNode = function (node, callback) {
+  var self = this;
+  var health = node.health;
+  if (health.state === Bitcoin.NODE_STATE_UNHEALTHY) {
+    if (Date.now() < health.openUntil) {
+      return callback();
+    }
+    health.state = Bitcoin.NODE_STATE_PROBING;
+  }
+
+  var start = Date.now();
+  var done = false;
+  var finish = function (err, response) {
+    if (done) {
+      return;
+    }
+    done = true;
+    clearTimeout(timeout);
+    health.lastCheckTime = Date.now();
+    if (!err) {
+      health.height = response.result;
+    }
+    self._recordNodeResult(node, err, Date.now() - start);
+    callback();
+  };
+  var timeout = setTimeout(function () {
+    finish(new Error('Health check timed out after ' + self.nodeTimeout + 'ms'));
+  }, this.nodeTimeout);
+
+  node.client.getBlockCount(finish);
+};
+
+/**
+ * Compares the tip height of each node with the best one. A node lagging more than
+ * nodeMaxLag blocks is stale and out of rotation until it catches up.
+ */
+Bitcoin.prototype._updateNodeLag = function () {
+  var self = this;
+  var heights = this.nodes.filter(function (node) {
+    return node.health.state !== Bitcoin.NODE_STATE_UNHEALTHY && node.health.height !== null;
+  }).map(function (node) {
+    return node.health.height;
+  });
+  if (!heights.length) {
+    return;
+  }
+  var best = _.max(heights);
+  this.nodes.forEach(function (node) {
+    var health = node.health;
+    if (health.height === null) {
+      return;
+    }
+    health.lag = best - health.height;
+    if (health.state === Bitcoin.NODE_STATE_HEALTHY && health.lag > self.nodeMaxLag) {
+      log.warn('Komodo node ' + self._getNodeName(node) + ' is stale, ' + health.lag + ' blocks behind');
+      health.state = Bitcoin.NODE_STATE_STALE;
+    } else if (health.state === Bitcoin.NODE_STATE_STALE && health.lag <= self.nodeMaxLag) {
+      log.info('Komodo node ' + self._getNodeName(node) + ' caught up');
+      health.state = Bitcoin.NODE_STATE_HEALTHY;
+    }
+  });
+};
+
+Bitcoin.prototype._checkNodes = function (callback) {
+  var self = this;
+  if (this._checkingNodes) {
+    return callback();
+  }
+  this._checkingNodes = true;
+  async.each(this.nodes, this._checkNode.bind(this), function () {
+    self._checkingNodes = false;
+    self._updateNodeLag();
+    callback();
+  });
+};
+
+Bitcoin.prototype._startNodeHealthChecks = function () {
+  var self = this;
+  this.nodes.forEach(this._initNodeHealth.bind(this));
+  this._nodeCheckInterval = setInterval(function () {
+    if (self.node.stopping) {
+      return;
+    }
+    self._checkNodes(function () {});
+  }, this.nodeCheckInterval);
+  this._nodeCheckInterval.unref();
+};
+
+/**
+ * Health of each node, for monitoring. RPC credentials are left out.
+ * @param {Function} callback
+ */
+Bitcoin.prototype.getNodeStates = function (callback) {
+  var self = this;
+  var states = this.nodes.map(function (node) {
+    var health = node.health || {};
+    return {
+      node: self._getNodeName(node),
+      state: health.state,
+      height: health.height,
+      lag: health.lag,
+      latency: health.latency,
+      errorRate: health.results ? self._getNodeErrorRate(node) : 0,
+      lastError: health.lastError,
+      lastErrorTime: health.lastErrorTime,
+      lastCheckTime: health.lastCheckTime,
+      openUntil: health.openUntil,
+      notifications: node.zmqMode || null,
+      notificationsSince: node.zmqModeSince || null
+    };
+  });
+  setImmediate(function () {
+    callback(null, states);
+  });
+};
+
 /**
  * Called by Node to determine the available API methods.
  */
@@ -161,15 +489,22 @@ Bitcoin.prototype.getAPIMethods = function () {
     ['getRawBlock', this, this.getRawBlock, 1],
     ['getBlockHeader', this, this.getBlockHeader, 1],
     ['getBlockOverview', this, this.getBlockOverview, 1],
+    ['getHeightMoM', this, this.getHeightMoM, 1],
     ['getBlockHashesByTimestamp', this, this.getBlockHashesByTimestamp, 2],
     ['getBestBlockHash', this, this.getBestBlockHash, 0],
+    ['getMempoolEntries', this, this.getMempoolEntries, 0],
     ['getSpentInfo', this, this.getSpentInfo, 1],
     ['getInfo', this, this.getInfo, 0],
+    ['getNodeStates', this, this.getNodeStates, 0],
+    ['getCacheStats', this, this.getCacheStats, 0],
     ['syncPercentage', this, this.syncPercentage, 0],
     ['isSynced', this, this.isSynced, 0],
     ['getRawTransaction', this, this.getRawTransaction, 1],
     ['getTransaction', this, this.getTransaction, 1],
     ['getDetailedTransaction', this, this.getDetailedTransaction, 1],
+    ['getDetailedTransactions', this, this.getDetailedTransactions, 1],
+    ['getKmdTransaction', this, this.getKmdTransaction, 1],
+    ['getKmdInfo', this, this.getKmdInfo, 0],
     ['sendTransaction', this, this.sendTransaction, 1],
     ['estimateFee', this, this.estimateFee, 1],
     ['getAddressTxids', this, this.getAddressTxids, 2],
@@ -198,6 +533,12 @@ Bitcoin.prototype.getPublishEvents = function () {
       subscribe: this.subscribe.bind(this, 'hashblock'),
       unsubscribe: this.unsubscribe.bind(this, 'hashblock')
     },
+    {
+      name: 'bitcoind/notarized',
+      scope: this,
+      subscribe: this.subscribe.bind(this, 'notarized'),
+      unsubscribe: this.unsubscribe.bind(this, 'notarized')
+    },
     {
       name: 'bitcoind/addresstxid',
       scope: this,
@@ -337,37 +678,121 @@ Bitcoin.prototype._loadSpawnConfiguration = function (node) {
   this._expandRelativeDatadir();
 
   var spawnOptions = this.options.spawn;
-  var configPath = path.resolve(spawnOptions.datadir, './komodo.conf');
+  var acName = spawnOptions.ac_name;
+  var datadir = this._getChainDatadir(spawnOptions.datadir, acName);
+  var configPath = path.resolve(datadir, this._getConfigFileName(acName));
 
   log.info('Using komodo config file:', configPath);
 
   this.spawn = {};
-  this.spawn.datadir = this.options.spawn.datadir;
+  this.spawn.datadir = datadir;
   this.spawn.exec = this.options.spawn.exec;
   this.spawn.configPath = configPath;
+  this.spawn.acName = acName;
+  this.spawn.args = this._getAssetchainArgs(spawnOptions);
   this.spawn.config = {};
 
-  if (!fs.existsSync(spawnOptions.datadir)) {
-    mkdirp.sync(spawnOptions.datadir);
+  if (!fs.existsSync(datadir)) {
+    mkdirp.sync(datadir);
   }
 
+  _.extend(this.spawn.config, this._loadChainConfig(configPath, acName, spawnOptions.rpcport));
+
+  this._checkConfigIndexes(this.spawn.config, node);
+
+};
+
+/**
+ * Reads the config of the spawned chain, writing a default config file first when there is
+ * none. An assetchain has no default port, so its config needs an rpcport.
+ * @param {String} configPath - Path of the config file of the chain
+ * @param {String} acName - The name of the assetchain, if any
+ * @param {Number} rpcport - RPC port written to a new config file
+ */
+Bitcoin.prototype._loadChainConfig = function (configPath, acName, rpcport) {
   if (!fs.existsSync(configPath)) {
     var defaultConfig = this._getDefaultConfig();
+    if (rpcport) {
+      defaultConfig += 'rpcport=' + rpcport + '\n';
+    }
     fs.writeFileSync(configPath, defaultConfig);
   }
 
-  _.extend(this.spawn.config, this._getDefaultConf());
-  _.extend(this.spawn.config, this._parseBitcoinConf(configPath));
+  var config = _.extend({}, this._getDefaultConf(acName), this._parseBitcoinConf(configPath));
 
-  var networkConfigPath = this._getNetworkConfigPath();
+  var networkConfigPath = this._getNetworkConfigPath(acName);
   if (networkConfigPath && fs.existsSync(networkConfigPath)) {
-    _.extend(this.spawn.config, this._parseBitcoinConf(networkConfigPath));
+    _.extend(config, this._parseBitcoinConf(networkConfigPath));
+  }
+
+  $.checkState(
+    config.rpcport,
+    '"rpcport" option is required to communicate with the ' + acName + ' assetchain. ' +
+    'Please add "rpcport=<port>" to ' + configPath
+  );
+
+  return config;
+};
+
+/**
+ * Data directory of a chain. Like komodod, an assetchain is kept in a folder named after it
+ * in the Komodo data directory.
+ * @param {String} datadir - The Komodo data directory
+ * @param {String} acName - The name of the assetchain, if any
+ */
+Bitcoin.prototype._getChainDatadir = function (datadir, acName) {
+  return acName ? path.resolve(datadir, acName) : datadir;
+};
+
+Bitcoin.prototype._getConfigFileName = function (acName) {
+  return acName ? acName + '.conf' : 'komodo.conf';
+};
+
+/**
+ * Default Komodo data directory of komodod
+ */
+Bitcoin.prototype._getDefaultDatadir = function () {
+  var home = process.env.HOME || process.env.USERPROFILE;
+  if (process.platform === 'darwin') {
+    return path.resolve(home, 'Library/Application Support/Komodo');
+  } else if (process.platform === 'win32') {
+    return path.resolve(process.env.APPDATA, 'Komodo');
   }
+  return path.resolve(home, '.komodo');
+};
+
+/**
+ * Launch parameters of an assetchain from its "ac_*" options, e.g. { ac_name: 'DEX',
+ * ac_supply: 999999, ac_reward: [100, 50] } gives -ac_name=DEX -ac_supply=999999
+ * -ac_reward=100,50. They have to be the same on every node of the chain.
+ * @param {Object} options - The spawn options
+ */
+Bitcoin.prototype._getAssetchainArgs = function (options) {
+  return Object.keys(options).filter(function (key) {
+    return /^ac_/.test(key);
+  }).map(function (key) {
+    var value = _.isArray(options[key]) ? options[key].join(',') : options[key];
+    return '-' + key + '=' + value;
+  });
+};
 
-  var spawnConfig = this.spawn.config;
+/**
+ * Completes a "connect" entry of an assetchain with the RPC and ZMQ settings of the config
+ * file of the chain, in the "datadir" of the entry or the default Komodo data directory.
+ * Settings of the entry take precedence.
+ * @param {Object} config
+ */
+Bitcoin.prototype._loadConnectConfiguration = function (config) {
+  if (!config.ac_name) {
+    return config;
+  }
+  var datadir = this._getChainDatadir(config.datadir || this._getDefaultDatadir(), config.ac_name);
+  var configPath = path.resolve(datadir, this._getConfigFileName(config.ac_name));
 
-  this._checkConfigIndexes(spawnConfig, node);
+  log.info('Using ' + config.ac_name + ' config file:', configPath);
 
+  var chainConfig = this._parseBitcoinConf(configPath);
+  return _.defaults({}, config, _.pick(chainConfig, ['rpcport', 'rpcuser', 'rpcpassword', 'zmqpubrawtx']));
 };
 
 Bitcoin.prototype._checkConfigIndexes = function (spawnConfig, node) {
@@ -424,6 +849,64 @@ Bitcoin.prototype._checkConfigIndexes = function (spawnConfig, node) {
   }
 };
 
+Bitcoin.prototype._openPersistentCache = function (callback) {
+  if (!this.options.persistentCache) {
+    return setImmediate(callback);
+  }
+  var cachePath = this.options.persistentCachePath;
+  if (!cachePath) {
+    var baseConfigPath = this.node.configPath ? path.dirname(this.node.configPath) : process.cwd();
+    cachePath = path.resolve(baseConfigPath, 'persistent-cache');
+  }
+  this.persistentCache = new PersistentCache({
+    path: cachePath,
+    log: log
+  });
+  log.info('Using persistent cache:', cachePath);
+  this.persistentCache.open(callback);
+};
+
+/**
+ * Whether the data of a block height can no longer change: the block is notarized, or on a
+ * chain without notarizations, deep enough.
+ * @param {Number} height
+ */
+Bitcoin.prototype.isFinalHeight = function (height) {
+  if (!_.isNumber(height) || height < 0) {
+    return false;
+  }
+  if (this.notarizedHeight > 0) {
+    return height <= this.notarizedHeight;
+  }
+  return this.height - height + 1 >= this.persistentCacheConfirmations;
+};
+
+/**
+ * Gets a value from the persistent cache, or null when it is not there or disabled
+ * @param {String} key
+ * @param {Function} callback
+ */
+Bitcoin.prototype.getPersistentCache = function (key, callback) {
+  if (!this.persistentCache) {
+    return setImmediate(function () {
+      callback(null, null);
+    });
+  }
+  this.persistentCache.get(key, callback);
+};
+
+/**
+ * Stores a value in the persistent cache when the height it belongs to is final
+ * @param {String} key
+ * @param {Number} height
+ * @param {Object} value - A JSON value
+ */
+Bitcoin.prototype.setPersistentCache = function (key, height, value) {
+  if (this.persistentCache && this.isFinalHeight(height)) {
+    this.persistentCache.put(key, value);
+  }
+};
+
 Bitcoin.prototype._resetCaches = function () {
   this.transactionDetailedCache.reset();
   this.utxosCache.reset();
@@ -433,18 +916,67 @@ Bitcoin.prototype._resetCaches = function () {
   this.blockOverviewCache.reset();
 };
 
+/**
+ * Calls func with the client of each node in rotation until one succeeds, without waiting
+ * in between. Only when no node is in rotation, all of them are tried every tryAllInterval.
+ */
 Bitcoin.prototype._tryAllClients = function (func, callback) {
   var self = this;
-  var nodesIndex = this.nodesIndex;
-  var retry = function (done) {
-    var client = self.nodes[nodesIndex].client;
-    nodesIndex = (nodesIndex + 1) % self.nodes.length;
-    func(client, done);
+  var nodes = [];
+  for (var i = 0; i < this.nodes.length; i++) {
+    nodes.push(this.nodes[(this.nodesIndex + i) % this.nodes.length]);
+  }
+  var available = nodes.filter(this._isNodeAvailable.bind(this));
+  var interval = 0;
+  if (!available.length) {
+    available = nodes;
+    interval = this.tryAllInterval || 1000;
+  }
+
+  var attempt = 0;
+  var retry = function () {
+    var node = available[attempt++];
+    var start = Date.now();
+    func(node.client, function (err) {
+      self._recordNodeResult(node, err, Date.now() - start);
+      if (err && attempt < available.length) {
+        return interval ? setTimeout(retry, interval) : retry();
+      }
+      callback.apply(null, arguments);
+    });
   };
-  async.retry({
-    times: this.nodes.length,
-    interval: this.tryAllInterval || 1000
-  }, retry, callback);
+  retry();
+};
+
+/**
+ * Calls an RPC method by its exact name. bitcoind-rpc lowercases the methods it generates,
+ * which komodod rejects for methods like height_MoM, so the call is sent as a batch of one.
+ * @param {BitcoinRPC} client
+ * @param {String} method - The RPC method
+ * @param {Array} params
+ * @param {Function} callback - Called with the RPC response, like the generated methods
+ */
+Bitcoin.prototype._callRPC = function (client, method, params, callback) {
+  client.batch(function () {
+    client.batchedCalls.push({
+      jsonrpc: '2.0',
+      method: method,
+      params: params,
+      id: Date.now()
+    });
+  }, function (err, responses) {
+    if (err) {
+      return callback(err);
+    }
+    var response = responses && responses[0];
+    if (!response) {
+      return callback(new Error('Bitcoin JSON-RPC: Empty response to ' + method));
+    }
+    if (response.error) {
+      return callback(response.error);
+    }
+    callback(null, response);
+  });
 };
 
 Bitcoin.prototype._wrapRPCError = function (errObj) {
@@ -488,7 +1020,11 @@ Bitcoin.prototype._initChain = function (callback) {
   });
 };
 
-Bitcoin.prototype._getDefaultConf = function () {
+Bitcoin.prototype._getDefaultConf = function (acName) {
+  // the rpc port of an assetchain is given by its parameters, it is read from its config file
+  if (acName) {
+    return {};
+  }
   var networkOptions = {
     rpcport: 8232
   };
@@ -498,9 +1034,9 @@ Bitcoin.prototype._getDefaultConf = function () {
   return networkOptions;
 };
 
-Bitcoin.prototype._getNetworkConfigPath = function () {
+Bitcoin.prototype._getNetworkConfigPath = function (acName) {
   var networkPath;
-  if (this.node.network === bitcore.Networks.testnet) {
+  if (!acName && this.node.network === bitcore.Networks.testnet) {
     networkPath = 'testnet3/komodo.conf';
     if (this.node.network.regtestEnabled) {
       networkPath = 'regtest/komodo.conf';
@@ -569,9 +1105,21 @@ Bitcoin.prototype._updateTip = function (node, message) {
         var error = self._wrapRPCError(err);
         self.emit('error', error);
       } else {
-        self.height = response.result.height;
-        $.checkState(self.height >= 0);
-        self.emit('tip', self.height);
+        var result = response.result;
+        var tip = {
+          hash: result.hash,
+          height: result.height,
+          prevHash: result.previousblockhash,
+          time: result.time
+        };
+        var previousTip = self.tipBlock;
+        self.tipBlock = tip;
+        self._checkReorg(previousTip, tip, function () {
+          self.height = tip.height;
+          $.checkState(self.height >= 0);
+          self.emit('tip', self.height);
+          self._updateNotarized(node);
+        });
       }
     });
 
@@ -590,6 +1138,152 @@ Bitcoin.prototype._updateTip = function (node, message) {
   }
 };
 
+/**
+ * Checks whether a new tip is on another branch than the previous one. When it is, the blocks
+ * of the previous branch are evicted from the caches and a 'reorg' event is emitted:
+ *
+ * {
+ *   hash, height: the new tip,
+ *   forkHash, forkHeight: the last block both branches have in common,
+ *   orphaned: [{hash, height, time}], the blocks no longer in the main chain, tip first
+ * }
+ *
+ * @param {Object} previousTip - {hash, height, prevHash, time}
+ * @param {Object} tip - The new tip, same format
+ * @param {Function} callback
+ */
+Bitcoin.prototype._checkReorg = function (previousTip, tip, callback) {
+  var self = this;
+  if (!previousTip || previousTip.hash === tip.hash || previousTip.hash === tip.prevHash) {
+    return callback();
+  }
+
+  this._findForkPoint(previousTip, tip, function (err, fork, orphaned) {
+    if (err) {
+      log.error('Unable to check for a chain reorganization:', err.message);
+      return callback();
+    }
+    if (orphaned.length) {
+      log.warn('Chain reorganization at height ' + fork.height + ', ' + orphaned.length + ' blocks orphaned');
+      self._evictBlocks(_.pluck(orphaned, 'hash').concat(fork.hash));
+      self.emit('reorg', {
+        hash: tip.hash,
+        height: tip.height,
+        forkHash: fork.hash,
+        forkHeight: fork.height,
+        orphaned: orphaned
+      });
+    }
+    callback();
+  });
+};
+
+/**
+ * Walks back both branches, through the prevHash of their blocks, down to the block they
+ * have in common. Several blocks mined at once also give a tip that does not follow the
+ * previous one, without any orphaned block.
+ */
+Bitcoin.prototype._findForkPoint = function (previousTip, tip, callback) {
+  var self = this;
+  var orphaned = [];
+
+  function getPrevious(block, next) {
+    self.getBlockHeader(block.prevHash, function (err, header) {
+      if (err) {
+        return callback(err);
+      }
+      next({
+        hash: header.hash,
+        height: header.height,
+        prevHash: header.prevHash,
+        time: header.time
+      });
+    });
+  }
+
+  function step(oldBlock, newBlock) {
+    if (oldBlock.hash === newBlock.hash) {
+      return callback(null, oldBlock, orphaned);
+    }
+    if (previousTip.height - oldBlock.height >= Bitcoin.MAX_REORG_DEPTH) {
+      return callback(new Error('No fork point in the last ' + Bitcoin.MAX_REORG_DEPTH + ' blocks'));
+    }
+    if (newBlock.height > oldBlock.height) {
+      return getPrevious(newBlock, function (block) {
+        step(oldBlock, block);
+      });
+    }
+    orphaned.push({
+      hash: oldBlock.hash,
+      height: oldBlock.height,
+      time: oldBlock.time
+    });
+    getPrevious(oldBlock, function (block) {
+      if (newBlock.height === oldBlock.height) {
+        return getPrevious(newBlock, function (newPrevious) {
+          step(block, newPrevious);
+        });
+      }
+      step(block, newBlock);
+    });
+  }
+
+  step(previousTip, tip);
+};
+
+/**
+ * Removes blocks from the caches that are kept across tips. The fork block is evicted
+ * along with the orphaned ones as its next block changed.
+ * @param {Array} hashes
+ */
+Bitcoin.prototype._evictBlocks = function (hashes) {
+  var self = this;
+  hashes.forEach(function (hash) {
+    self.blockCache.del(hash);
+    self.rawBlockCache.del(hash);
+    self.blockHeaderCache.del(hash);
+    self.blockOverviewCache.del(hash);
+  });
+};
+
+/**
+ * Updates the last notarized height from getinfo and notifies subscribers when it advanced
+ * @param {Object} node - The node to ask
+ * @param {Function} callback - Optional, gets the RPC error instead of an 'error' event
+ */
+Bitcoin.prototype._updateNotarized = function (node, callback) {
+  var self = this;
+  callback = callback || function (err) {
+    if (err) {
+      self.emit('error', err);
+    }
+  };
+
+  node.client.getInfo(function (err, response) {
+    if (err) {
+      return callback(self._wrapRPCError(err));
+    }
+    var result = response.result;
+    if (!result.notarized || result.notarized <= self.notarizedHeight) {
+      return callback();
+    }
+    self.notarizedHeight = result.notarized;
+
+    var notarized = {
+      height: result.notarized,
+      hash: result.notarizedhash,
+      txid: result.notarizedtxid
+    };
+    self.lastNotarized = notarized;
+    self.emit('notarized', notarized);
+
+    for (var i = 0; i < self.subscriptions.notarized.length; i++) {
+      self.subscriptions.notarized[i].emit('bitcoind/notarized', notarized);
+    }
+    callback();
+  });
+};
+
 Bitcoin.prototype._getAddressesFromTransaction = function (transaction) {
   var addresses = [];
 
@@ -707,6 +1401,10 @@ Bitcoin.prototype._checkSyncedAndSubscribeZmqEvents = function (node) {
 
 Bitcoin.prototype._subscribeZmqEvents = function (node) {
   var self = this;
+  if (!node.zmqMode) {
+    this._setZmqMode(node, 'zmq');
+    node.zmqLastBlock = Date.now();
+  }
   node.zmqSubSocket.subscribe('hashblock');
   node.zmqSubSocket.subscribe('rawtx');
   node.zmqSubSocket.on('message', function (topic, message) {
@@ -714,14 +1412,20 @@ Bitcoin.prototype._subscribeZmqEvents = function (node) {
     if (topicString === 'rawtx') {
       self._zmqTransactionHandler(node, message);
     } else if (topicString === 'hashblock') {
+      node.zmqLastBlock = Date.now();
+      if (node.zmqMode === 'polling') {
+        log.info('ZMQ notifications from ' + self._getNodeName(node) + ' resumed');
+        self._setZmqMode(node, 'zmq');
+      }
       self._zmqBlockHandler(node, message);
     }
   });
 };
 
 Bitcoin.prototype._initZmqSubSocket = function (node, zmqUrl) {
-  var self = this;
-  node.zmqSubSocket = zmq.socket('sub');
+  var socket = zmq.socket('sub');
+  node.zmqSubSocket = socket;
+  node.zmqUrl = zmqUrl;
 
   node.zmqSubSocket.on('connect', function (fd, endPoint) {
     log.info('ZMQ connected to:', endPoint);
@@ -738,7 +1442,10 @@ Bitcoin.prototype._initZmqSubSocket = function (node, zmqUrl) {
   node.zmqSubSocket.on('monitor_error', function (err) {
     log.error('Error in monitoring: %s, will restart monitoring in 5 seconds', err);
     setTimeout(function () {
-      self.zmqSubSocket.monitor(500, 0);
+      // unless the socket was replaced in the meantime
+      if (node.zmqSubSocket === socket) {
+        socket.monitor(500, 0);
+      }
     }, 5000);
   });
 
@@ -746,6 +1453,137 @@ Bitcoin.prototype._initZmqSubSocket = function (node, zmqUrl) {
   node.zmqSubSocket.connect(zmqUrl);
 };
 
+Bitcoin.prototype._setZmqMode = function (node, mode) {
+  node.zmqMode = mode;
+  node.zmqModeSince = Date.now();
+};
+
+/**
+ * How new blocks and transactions are received: "zmq", or "polling" when a node fell back
+ * to RPC polling because its ZMQ notifications stopped.
+ */
+Bitcoin.prototype.getNotificationMode = function () {
+  var polling = this.nodes.some(function (node) {
+    return node.zmqMode === 'polling';
+  });
+  return polling ? 'polling' : 'zmq';
+};
+
+Bitcoin.prototype._startZmqWatchdog = function () {
+  var self = this;
+  this._zmqWatchdogInterval = setInterval(function () {
+    if (self.node.stopping) {
+      return;
+    }
+    self.nodes.forEach(self._checkZmqNode.bind(self));
+  }, this.zmqPollInterval);
+  this._zmqWatchdogInterval.unref();
+};
+
+/**
+ * A ZMQ connection can stop delivering messages without any error. When no block was
+ * notified for zmqSilenceTimeout, the tip of the node is checked over RPC: if it moved on,
+ * the node is polled over RPC until ZMQ notifies a block again, and ZMQ is subscribed anew.
+ */
+Bitcoin.prototype._checkZmqNode = function (node) {
+  var self = this;
+  var name = this._getNodeName(node);
+
+  // not subscribed yet, while the node syncs
+  if (!node.zmqMode) {
+    return;
+  }
+
+  if (node.zmqMode === 'polling') {
+    if (Date.now() - node.zmqResubscribeTime >= this.zmqSilenceTimeout) {
+      this._resubscribeZmq(node);
+    }
+    return this._pollNode(node);
+  }
+
+  if (Date.now() - node.zmqLastBlock < this.zmqSilenceTimeout || node.zmqChecking) {
+    return;
+  }
+  node.zmqChecking = true;
+  node.client.getBestBlockHash(function (err, response) {
+    node.zmqChecking = false;
+    if (err) {
+      // the node is down, which the health checks take care of
+      return;
+    }
+    if (response.result === self.tiphash) {
+      // no new block on the chain either
+      node.zmqLastBlock = Date.now();
+      return;
+    }
+    log.warn('No ZMQ block notification from ' + name + ' for ' +
+      Math.round((Date.now() - node.zmqLastBlock) / 1000) + ' seconds, polling it over RPC');
+    self._setZmqMode(node, 'polling');
+    self._resubscribeZmq(node);
+    self._pollNode(node);
+  });
+};
+
+Bitcoin.prototype._resubscribeZmq = function (node) {
+  node.zmqResubscribeTime = Date.now();
+  try {
+    node.zmqSubSocket.close();
+  } catch (e) {
+    log.warn('Unable to close the ZMQ socket:', e.message);
+  }
+  this._initZmqSubSocket(node, node.zmqUrl);
+  this._subscribeZmqEvents(node);
+};
+
+/**
+ * Gets the tip and the new mempool transactions of a node over RPC, and handles them like
+ * ZMQ notifications.
+ */
+Bitcoin.prototype._pollNode = function (node) {
+  var self = this;
+  if (node.zmqPolling) {
+    return;
+  }
+  node.zmqPolling = true;
+
+  function done(err) {
+    node.zmqPolling = false;
+    if (err) {
+      log.error('Unable to poll ' + self._getNodeName(node) + ':', err.message);
+    }
+  }
+
+  node.client.getBestBlockHash(function (err, response) {
+    if (err) {
+      return done(self._wrapRPCError(err));
+    }
+    if (response.result !== self.tiphash) {
+      self._zmqBlockHandler(node, new Buffer(response.result, 'hex'));
+    }
+
+    node.client.getRawMemPool(function (err, response) {
+      if (err) {
+        return done(self._wrapRPCError(err));
+      }
+      // known transactions are keyed by their hash, the txid reversed
+      var txids = response.result.filter(function (txid) {
+        var id = bitcore.util.buffer.reverse(new Buffer(txid, 'hex')).toString('binary');
+        return !self.zmqKnownTransactions.get(id);
+      });
+      async.eachLimit(txids, self.transactionConcurrency, function (txid, next) {
+        node.client.getRawTransaction(txid, 0, function (err, response) {
+          if (err) {
+            // mined or evicted since
+            return next();
+          }
+          self._zmqTransactionHandler(node, new Buffer(response.result, 'hex'));
+          next();
+        });
+      }, done);
+    });
+  });
+};
+
 Bitcoin.prototype._checkReindex = function (node, callback) {
   var self = this;
   var interval;
@@ -790,16 +1628,22 @@ Bitcoin.prototype._loadTipFromNode = function (node, callback) {
       }
       self.height = response.result.height;
       $.checkState(self.height >= 0);
-      self.emit('tip', self.height);
-      callback();
+      // the notarized height decides which blocks are final, so it is known before the
+      // service starts rather than after the next block
+      self._updateNotarized(node, function (err) {
+        if (err) {
+          return callback(err);
+        }
+        self.emit('tip', self.height);
+        callback();
+      });
     });
   });
 };
 
 Bitcoin.prototype._stopSpawnedBitcoin = function (callback) {
   var self = this;
-  var spawnOptions = this.options.spawn;
-  var pidPath = spawnOptions.datadir + '/komodod.pid';
+  var pidPath = path.resolve(this.spawn.datadir, 'komodod.pid');
 
   function stopProcess() {
     fs.readFile(pidPath, 'utf8', function (err, pid) {
@@ -856,6 +1700,8 @@ Bitcoin.prototype._spawnChildProcess = function (callback) {
     options.push(self._getNetworkOption());
   }
 
+  options = options.concat(this.spawn.args);
+
   self._stopSpawnedBitcoin(function (err) {
     if (err) {
       return callback(err);
@@ -935,6 +1781,12 @@ Bitcoin.prototype._connectProcess = function (config, callback) {
   var node = {};
   var exitShutdown = false;
 
+  try {
+    config = this._loadConnectConfiguration(config);
+  } catch (e) {
+    return callback(e);
+  }
+
   async.retry({
     times: 60,
     interval: self.startRetryInterval
@@ -978,6 +1830,9 @@ Bitcoin.prototype.start = function (callback) {
   var self = this;
 
   async.series([
+    function (next) {
+      self._openPersistentCache(next);
+    },
     function (next) {
       if (self.options.spawn) {
         self._spawnChildProcess(function (err, node) {
@@ -1013,11 +1868,32 @@ Bitcoin.prototype.start = function (callback) {
     if (self.nodes.length === 0) {
       return callback(new Error('Komodo configuration options "spawn" or "connect" are expected'));
     }
+    if (self.options.kmd) {
+      self._initKmdClient(self.options.kmd);
+    }
+    self._startNodeHealthChecks();
+    self._startZmqWatchdog();
     self._initChain(callback);
   });
 
 };
 
+/**
+ * Creates the RPC client of the KMD node, configured like a "connect" entry.
+ * @param {Object} config
+ */
+Bitcoin.prototype._initKmdClient = function (config) {
+  this.kmdClient = new BitcoinRPC({
+    protocol: config.rpcprotocol || 'http',
+    host: config.rpchost || '127.0.0.1',
+    port: config.rpcport || 7771,
+    user: config.rpcuser,
+    pass: config.rpcpassword,
+    rejectUnauthorized: _.isUndefined(config.rpcstrict) ? true : config.rpcstrict
+  });
+  log.info('Checking notarizations against KMD node', config.rpchost || '127.0.0.1');
+};
+
 /**
  * Helper to determine the state of the database.
  * @param {Function} callback
@@ -1360,27 +2236,15 @@ Bitcoin.prototype._getAddressDetailsForTransaction = function (transaction, addr
  * @param {Object} txid - A bitcoin transaction id
  * @param {Function} callback
  */
-Bitcoin.prototype._getAddressDetailedTransaction = function (txid, options, next) {
-  var self = this;
-
-  self.getDetailedTransaction(
-    txid,
-    function (err, transaction) {
-      if (err) {
-        return next(err);
-      }
-
-      var addressDetails = self._getAddressDetailsForTransaction(transaction, options.addressStrings);
-
-      var details = {
-        addresses: addressDetails.addresses,
-        satoshis: addressDetails.satoshis,
-        confirmations: self._getConfirmationsDetail(transaction),
-        tx: transaction
-      };
-      next(null, details);
-    }
-  );
+Bitcoin.prototype._getAddressTransactionDetails = function (transaction, addressStrings) {
+  var addressDetails = this._getAddressDetailsForTransaction(transaction, addressStrings);
+
+  return {
+    addresses: addressDetails.addresses,
+    satoshis: addressDetails.satoshis,
+    confirmations: this._getConfirmationsDetail(transaction),
+    tx: transaction
+  };
 };
 
 Bitcoin.prototype._getAddressStrings = function (addresses) {
@@ -1420,7 +2284,6 @@ Bitcoin.prototype.getAddressHistory = function (addressArg, options, callback) {
     return callback(new TypeError('Maximum number of addresses (' + this.maxAddressesQuery + ') exceeded'));
   }
 
-  var queryMempool = _.isUndefined(options.queryMempool) ? true : options.queryMempool;
   var addressStrings = this._getAddressStrings(addresses);
 
   var fromArg = parseInt(options.from || 0);
@@ -1445,25 +2308,17 @@ Bitcoin.prototype.getAddressHistory = function (addressArg, options, callback) {
       return callback(e);
     }
 
-    async.mapLimit(
-      txids,
-      self.transactionConcurrency,
-      function (txid, next) {
-        self._getAddressDetailedTransaction(txid, {
-          queryMempool: queryMempool,
-          addressStrings: addressStrings
-        }, next);
-      },
-      function (err, transactions) {
-        if (err) {
-          return callback(err);
-        }
-        callback(null, {
-          totalCount: totalCount,
-          items: transactions
-        });
+    self.getDetailedTransactions(txids, function (err, transactions) {
+      if (err) {
+        return callback(err);
       }
-    );
+      callback(null, {
+        totalCount: totalCount,
+        items: transactions.map(function (transaction) {
+          return self._getAddressTransactionDetails(transaction, addressStrings);
+        })
+      });
+    });
   });
 };
 
@@ -1601,16 +2456,24 @@ Bitcoin.prototype.getRawBlock = function (blockArg, callback) {
     if (err) {
       return callback(err);
     }
-    self._tryAllClients(function (client, done) {
-      self.client.getBlock(blockhash, false, function (err, response) {
-        if (err) {
-          return done(self._wrapRPCError(err));
-        }
-        var buffer = new Buffer(response.result, 'hex');
+    self.getPersistentCache('rawblock/' + blockhash, function (err, hex) {
+      if (hex) {
+        var buffer = new Buffer(hex, 'hex');
         self.rawBlockCache.set(blockhash, buffer);
-        done(null, buffer);
-      });
-    }, callback);
+        return callback(null, buffer);
+      }
+      self._tryAllClients(function (client, done) {
+        client.getBlock(blockhash, false, function (err, response) {
+          if (err) {
+            return done(self._wrapRPCError(err));
+          }
+          var buffer = new Buffer(response.result, 'hex');
+          self.rawBlockCache.set(blockhash, buffer);
+          self._persistRawBlock(blockhash, response.result);
+          done(null, buffer);
+        });
+      }, callback);
+    });
   }
 
   var cachedBlock = self.rawBlockCache.get(blockArg);
@@ -1623,6 +2486,19 @@ Bitcoin.prototype.getRawBlock = function (blockArg, callback) {
   }
 };
 
+Bitcoin.prototype._persistRawBlock = function (blockhash, hex) {
+  var self = this;
+  if (!this.persistentCache) {
+    return;
+  }
+  // the raw block does not tell its height
+  this.getBlockHeader(blockhash, function (err, header) {
+    if (!err) {
+      self.setPersistentCache('rawblock/' + blockhash, header.height, hex);
+    }
+  });
+};
+
 /**
  * Similar to getBlockHeader but will include a list of txids
  * @param {String|Number} block - A block hash or block height number
@@ -1673,6 +2549,34 @@ Bitcoin.prototype.getBlockOverview = function (blockArg, callback) {
   self._maybeGetBlockHash(blockArg, queryBlock);
 };
 
+/**
+ * Will get the MoM (merkle root of the merkle roots of the blocks notarized together) of the
+ * notarization covering a block height, or null when the height is not notarized yet.
+ * @param {Number} height - The block height
+ * @param {Function} callback
+ */
+Bitcoin.prototype.getHeightMoM = function (height, callback) {
+  var self = this;
+  this._tryAllClients(function (client, done) {
+    self._callRPC(client, 'height_MoM', [height], function (err, response) {
+      if (err) {
+        return done(self._wrapRPCError(err));
+      }
+      var result = response.result;
+      if (!result.depth) {
+        return done(null, null);
+      }
+      done(null, {
+        height: height,
+        notarizedHeight: result.notarized_height,
+        depth: result.depth,
+        MoM: result.MoM,
+        kmdTxid: result.kmdtxid
+      });
+    });
+  }, callback);
+};
+
 /**
  * Will retrieve a block as a Bitcore object
  * @param {String|Number} block - A block hash or block height number
@@ -1751,6 +2655,12 @@ Bitcoin.prototype.getBlockHeader = function (blockArg, callback) {
     if (err) {
       return callback(err);
     }
+    var cachedHeader = self._getCachedBlockHeader(blockhash);
+    if (cachedHeader) {
+      return setImmediate(function () {
+        callback(null, cachedHeader);
+      });
+    }
     self._tryAllClients(function (client, done) {
       client.getBlockHeader(blockhash, function (err, response) {
         if (err) {
@@ -1773,6 +2683,10 @@ Bitcoin.prototype.getBlockHeader = function (blockArg, callback) {
           difficulty: result.difficulty,
           lastNotarizedHeight: result.last_notarized_height
         };
+        // blocks off the main chain have negative confirmations
+        if (header.confirmations > 0) {
+          self.blockHeaderCache.set(header.hash, _.omit(header, 'confirmations'));
+        }
         done(null, header);
       });
     }, callback);
@@ -1781,6 +2695,24 @@ Bitcoin.prototype.getBlockHeader = function (blockArg, callback) {
   self._maybeGetBlockHash(blockArg, queryHeader);
 };
 
+/**
+ * Gets a header from the cache with its confirmations and last notarized height as of the
+ * current tip, or null. The rest of a header does not change, except the next hash of the
+ * tip, so a header cached without one is fetched again once the tip moved on. Headers of
+ * orphaned blocks and of the fork point are evicted on chain reorganizations.
+ * @param {String} blockhash
+ */
+Bitcoin.prototype._getCachedBlockHeader = function (blockhash) {
+  var cached = this.blockHeaderCache.get(blockhash);
+  if (!cached || cached.height > this.height || (!cached.nextHash && cached.height < this.height)) {
+    return null;
+  }
+  return _.extend({}, cached, {
+    confirmations: this.height - cached.height + 1,
+    lastNotarizedHeight: Math.max(cached.lastNotarizedHeight || 0, this.notarizedHeight)
+  });
+};
+
 /**
  * Will estimate the fee per kilobyte.
  * @param {Number} blocks - The number of blocks for the transaction to be confirmed.
@@ -1847,6 +2779,60 @@ Bitcoin.prototype.getRawTransaction = function (txid, callback) {
   }
 };
 
+/**
+ * Will get a transaction from the KMD node, with the hex of its output scripts.
+ * @param {String} txid - The transaction hash
+ * @param {Function} callback
+ */
+Bitcoin.prototype.getKmdTransaction = function (txid, callback) {
+  var self = this;
+  if (!this.kmdClient) {
+    return setImmediate(function () {
+      callback(new Error('KMD node is not configured'));
+    });
+  }
+  this.kmdClient.getRawTransaction(txid, 1, function (err, response) {
+    if (err) {
+      return callback(self._wrapRPCError(err));
+    }
+    var result = response.result;
+    callback(null, {
+      txid: result.txid,
+      blockHash: result.blockhash,
+      height: result.height,
+      confirmations: result.confirmations || 0,
+      scripts: result.vout.map(function (output) {
+        return output.scriptPubKey.hex;
+      })
+    });
+  });
+};
+
+/**
+ * Will get the height of the KMD node and the last KMD block notarized on BTC.
+ * @param {Function} callback
+ */
+Bitcoin.prototype.getKmdInfo = function (callback) {
+  var self = this;
+  if (!this.kmdClient) {
+    return setImmediate(function () {
+      callback(new Error('KMD node is not configured'));
+    });
+  }
+  this.kmdClient.getInfo(function (err, response) {
+    if (err) {
+      return callback(self._wrapRPCError(err));
+    }
+    var result = response.result;
+    callback(null, {
+      blocks: result.blocks,
+      notarized: result.notarized,
+      lastNotarizedBlockhash: result.notarizedhash,
+      lastNotarizedTxid: result.notarizedtxid
+    });
+  });
+};
+
 /**
  * Will get a transaction as a Bitcore Transaction. Results include the mempool.
  * @param {String} txid - The transaction hash
@@ -1919,8 +2905,65 @@ Bitcoin.prototype.getTransaction = function (txid, callback) {
  */
 Bitcoin.prototype.getDetailedTransaction = function (txid, callback) {
   var self = this;
+
+  function queryTransaction() {
+    self._tryAllClients(function (client, done) {
+      client.getRawTransaction(txid, 1, function (err, response) {
+        if (err) {
+          return done(self._wrapRPCError(err));
+        }
+        done(null, self._addDetailedTransaction(txid, response.result));
+      });
+    }, callback);
+  }
+
+  self._getCachedDetailedTransaction(txid, function (err, tx) {
+    if (tx) {
+      return callback(null, tx);
+    }
+    queryTransaction();
+  });
+};
+
+/**
+ * Gets a detailed transaction from the cache, or from the persistent cache, or null
+ * @param {String} txid
+ * @param {Function} callback
+ */
+Bitcoin.prototype._getCachedDetailedTransaction = function (txid, callback) {
+  var self = this;
   var tx = self.transactionDetailedCache.get(txid);
+  if (!tx) {
+    tx = self.persistedTransactionCache.get(txid);
+    if (tx) {
+      self._updatePersistedTransaction(tx);
+    }
+  }
+  if (tx) {
+    return setImmediate(function () {
+      callback(null, tx);
+    });
+  }
+  self.getPersistentCache('tx/' + txid, function (err, persistedTx) {
+    if (!persistedTx) {
+      return callback(null, null);
+    }
+    self._refreshPersistedTransaction(persistedTx, function (err, tx) {
+      if (err) {
+        return callback(null, null);
+      }
+      self.persistedTransactionCache.set(txid, tx);
+      callback(null, tx);
+    });
+  });
+};
 
+/**
+ * Builds a detailed transaction from the verbose getrawtransaction result and caches it
+ * @param {String} txid
+ * @param {Object} result - The result of getrawtransaction
+ */
+Bitcoin.prototype._addDetailedTransaction = function (txid, result) {
   function addInputsToTx(tx, result) {
     tx.inputs = [];
     tx.inputSatoshis = 0;
@@ -1985,80 +3028,246 @@ Bitcoin.prototype.getDetailedTransaction = function (txid, callback) {
     return netJoinSplitZatoshis;
   }
 
-  if (tx) {
-    return setImmediate(function () {
-      callback(null, tx);
-    });
+  var tx = {
+    hex: result.hex,
+    blockHash: result.blockhash,
+    height: result.height ? result.height : -1,
+    blockTimestamp: result.time,
+    version: result.version,
+    hash: txid,
+    locktime: result.locktime,
+    fOverwintered: result.overwintered,
+    rawconfirmations: result.rawconfirmations,
+    confirmations: result.confirmations,
+    lastNotarizedHeight: result.last_notarized_height
+  };
+
+  if (result.vin[0] && result.vin[0].coinbase) {
+    tx.coinbase = true;
+  }
+
+  addInputsToTx(tx, result);
+  addOutputsToTx(tx, result);
+
+  var netJoinSplitZatoshis = 0;
+  if (tx.version >= 2) {
+    netJoinSplitZatoshis = addJoinSplitsToTx(tx, result);
+  }
+
+  if (!tx.coinbase) {
+    tx.feeSatoshis = tx.inputSatoshis - tx.outputSatoshis + netJoinSplitZatoshis;
   } else {
-    self._tryAllClients(function (client, done) {
-      client.getRawTransaction(txid, 1, function (err, response) {
-        if (err) {
-          return done(self._wrapRPCError(err));
-        }
-        var result = response.result;
-        var tx = {
-          hex: result.hex,
-          blockHash: result.blockhash,
-          height: result.height ? result.height : -1,
-          blockTimestamp: result.time,
-          version: result.version,
-          hash: txid,
-          locktime: result.locktime,
-          fOverwintered: result.overwintered,
-          rawconfirmations: result.rawconfirmations,
-          confirmations: result.confirmations,
-          lastNotarizedHeight: result.last_notarized_height
-        };
+    tx.feeSatoshis = 0;
+  }
 
-        if (result.vin[0] && result.vin[0].coinbase) {
-          tx.coinbase = true;
-        }
+  if (tx.fOverwintered) {
+    tx.nVersionGroupId = parseInt(result.versiongroupid, 16);
+    tx.nExpiryHeight = result.expiryheight;
+  }
 
-        addInputsToTx(tx, result);
-        addOutputsToTx(tx, result);
+  // Sapling START
+  if (tx.fOverwintered && tx.version >= 4) {
+    tx.valueBalance = result.valueBalance;
+    tx.spendDescs = result.vShieldedSpend;
+    tx.outputDescs = result.vShieldedOutput;
+    if (result.bindingSig) {
+      tx.bindingSig = result.bindingSig;
+    }
+    // Update tx.feeSatoshis with custom explorer JSON field 'valueBalanceZat'
+    tx.feeSatoshis = tx.feeSatoshis + (isNaN(result.valueBalanceZat) ? result.valueBalance * 1e8 : result.valueBalanceZat);
+    /* 
+        we should have custom 'valueBalanceZat' in src/rpc/rawtransaction.cpp TxToJSONExpanded function,
+        here https://github.com/jl777/komodo/blob/dev/src/rpc/rawtransaction.cpp#L263 , like this:
+        
+        entry.push_back(Pair("valueBalance", ValueFromAmount(tx.valueBalance)));
+        entry.push_back(Pair("valueBalanceZat", tx.valueBalance));
+    */
 
-        var netJoinSplitZatoshis = 0;
-        if (tx.version >= 2) {
-          netJoinSplitZatoshis = addJoinSplitsToTx(tx, result);
-        }
+  }
+  // Sapling END
 
-        if (!tx.coinbase) {
-          tx.feeSatoshis = tx.inputSatoshis - tx.outputSatoshis + netJoinSplitZatoshis;
-        } else {
-          tx.feeSatoshis = 0;
-        }
 
-        if (tx.fOverwintered) {
-          tx.nVersionGroupId = parseInt(result.versiongroupid, 16);
-          tx.nExpiryHeight = result.expiryheight;
-        }
+  this.transactionDetailedCache.set(txid, tx);
+  this.setPersistentCache('tx/' + txid, tx.height, tx);
+  return tx;
+};
 
-        // Sapling START
-        if (tx.fOverwintered && tx.version >= 4) {
-          tx.valueBalance = result.valueBalance;
-          tx.spendDescs = result.vShieldedSpend;
-          tx.outputDescs = result.vShieldedOutput;
-          if (result.bindingSig) {
-            tx.bindingSig = result.bindingSig;
-          }
-          // Update tx.feeSatoshis with custom explorer JSON field 'valueBalanceZat'
-          tx.feeSatoshis = tx.feeSatoshis + (isNaN(result.valueBalanceZat) ? result.valueBalance * 1e8 : result.valueBalanceZat);
-          /* 
-              we should have custom 'valueBalanceZat' in src/rpc/rawtransaction.cpp TxToJSONExpanded function,
-              here https://github.com/jl777/komodo/blob/dev/src/rpc/rawtransaction.cpp#L263 , like this:
-              
-              entry.push_back(Pair("valueBalance", ValueFromAmount(tx.valueBalance)));
-              entry.push_back(Pair("valueBalanceZat", tx.valueBalance));
-          */
+/**
+ * Will get detailed transactions, in the format of getDetailedTransaction and in the order
+ * of the txids. The transactions that are not cached are queried with getrawtransaction in
+ * JSON-RPC batches of rpcBatchSize calls.
+ * @param {Array} txids - The hex strings of the transactions
+ * @param {Function} callback
+ */
+Bitcoin.prototype.getDetailedTransactions = function (txids, callback) {
+  var self = this;
+  var transactions = {};
+  var missing = [];
 
+  async.eachLimit(_.uniq(txids), this.transactionConcurrency, function (txid, next) {
+    self._getCachedDetailedTransaction(txid, function (err, tx) {
+      if (tx) {
+        transactions[txid] = tx;
+      } else {
+        missing.push(txid);
+      }
+      next();
+    });
+  }, function () {
+    async.eachLimit(_.chunk(missing, self.rpcBatchSize), self.transactionConcurrency, function (batch, next) {
+      self._queryDetailedTransactions(batch, function (err, txs) {
+        if (err) {
+          return next(err);
         }
-        // Sapling END
+        txs.forEach(function (tx) {
+          transactions[tx.hash] = tx;
+        });
+        next();
+      });
+    }, function (err) {
+      if (err) {
+        return callback(err);
+      }
+      callback(null, txids.map(function (txid) {
+        return transactions[txid];
+      }));
+    });
+  });
+};
 
-        self.transactionDetailedCache.set(txid, tx);
-        done(null, tx);
+/**
+ * Queries transactions with one JSON-RPC batch of getrawtransaction calls
+ * @param {Array} txids
+ * @param {Function} callback
+ */
+Bitcoin.prototype._queryDetailedTransactions = function (txids, callback) {
+  var self = this;
+  this._tryAllClients(function (client, done) {
+    client.batch(function () {
+      txids.forEach(function (txid, index) {
+        client.batchedCalls.push({
+          jsonrpc: '2.0',
+          method: 'getrawtransaction',
+          params: [txid, 1],
+          id: index
+        });
       });
-    }, callback);
+    }, function (err, responses) {
+      if (err) {
+        return done(self._wrapRPCError(err));
+      }
+      if (!_.isArray(responses) || responses.length !== txids.length) {
+        return done(new errors.RPCError('Unexpected response to a batch of ' + txids.length + ' transactions'));
+      }
+      // komodod answers in order, the ids are checked in case a proxy does not
+      var results = _.indexBy(responses, 'id');
+      var txs = [];
+      for (var i = 0; i < txids.length; i++) {
+        var response = results[i];
+        if (!response) {
+          return done(new errors.RPCError('Missing response for transaction ' + txids[i]));
+        }
+        if (response.error) {
+          return done(self._wrapRPCError(response.error));
+        }
+        txs.push(self._addDetailedTransaction(txids[i], response.result));
+      }
+      done(null, txs);
+    });
+  }, callback);
+};
+
+/**
+ * Updates the confirmations of a final transaction, which change with every block
+ * @param {Object} tx - A detailed transaction
+ */
+Bitcoin.prototype._updatePersistedTransaction = function (tx) {
+  tx.confirmations = tx.rawconfirmations = this.height - tx.height + 1;
+  tx.lastNotarizedHeight = Math.max(tx.lastNotarizedHeight || 0, this.notarizedHeight);
+};
+
+/**
+ * Updates what can still change in a final transaction from the persistent cache: its
+ * confirmations and the outputs that were unspent when it was stored. The result is kept in
+ * persistedTransactionCache, so the outputs are checked again once per spentRefreshInterval
+ * rather than on every read. One unspent output is checked with getspentinfo; with more, the
+ * transaction is fetched again, which takes one call whatever its number of outputs.
+ * @param {Object} tx - A detailed transaction
+ * @param {Function} callback
+ */
+Bitcoin.prototype._refreshPersistedTransaction = function (tx, callback) {
+  var self = this;
+  this._updatePersistedTransaction(tx);
+
+  var unspent = _.filter(_.range(tx.outputs.length), function (index) {
+    return !tx.outputs[index].spentTxId;
+  });
+  if (unspent.length > 1) {
+    return this._queryDetailedTransactions([tx.hash], function (err, txs) {
+      callback(err, txs && txs[0]);
+    });
   }
+
+  var spent = false;
+  async.eachLimit(unspent, this.transactionConcurrency, function (index, next) {
+    var output = tx.outputs[index];
+    self.getSpentInfo({
+      txid: tx.hash,
+      index: index
+    }, function (err, info) {
+      if (err) {
+        return next(err);
+      }
+      if (info.txid) {
+        output.spentTxId = info.txid;
+        output.spentIndex = info.index;
+        output.spentHeight = info.height;
+        spent = true;
+      }
+      next();
+    });
+  }, function (err) {
+    if (err) {
+      return callback(err);
+    }
+    if (spent) {
+      self.setPersistentCache('tx/' + tx.hash, tx.height, tx);
+    }
+    callback(null, tx);
+  });
+};
+
+/**
+ * Will get the transactions in the mempool, by txid, in the format:
+ * {
+ *   size: 225,
+ *   fee: 10000,
+ *   time: 1462979126,
+ *   height: 828781
+ * }
+ * where fee is in satoshis, time is when the transaction entered the mempool and height
+ * the tip height at that time.
+ * @param {Function} callback
+ */
+Bitcoin.prototype.getMempoolEntries = function (callback) {
+  var self = this;
+  this._tryAllClients(function (client, done) {
+    client.getRawMemPool(true, function (err, response) {
+      if (err) {
+        return done(self._wrapRPCError(err));
+      }
+      var entries = {};
+      _.each(response.result, function (entry, txid) {
+        entries[txid] = {
+          size: entry.size,
+          fee: Math.round(entry.fee * 1e8),
+          time: entry.time,
+          height: entry.height
+        };
+      });
+      done(null, entries);
+    });
+  }, callback);
 };
 
 /**
@@ -2125,6 +3334,7 @@ Bitcoin.prototype.getInfo = function (callback) {
       difficulty: result.difficulty,
       notarized: result.notarized,
       lastNotarizedBlockhash: result.notarizedhash,
+      lastNotarizedTxid: result.notarizedtxid,
       testnet: result.testnet,
       relayFee: result.relayfee,
       errors: result.errors,
@@ -2149,6 +3359,20 @@ Bitcoin.prototype.generateBlock = function (num, callback) {
  * @param {Function} callback
  */
 Bitcoin.prototype.stop = function (callback) {
+  var self = this;
+  clearInterval(this._nodeCheckInterval);
+  clearInterval(this._zmqWatchdogInterval);
+  this._stopChildProcess(function (err) {
+    if (!self.persistentCache) {
+      return callback(err);
+    }
+    self.persistentCache.close(function () {
+      callback(err);
+    });
+  });
+};
+
+Bitcoin.prototype._stopChildProcess = function (callback) {
   if (this.spawn && this.spawn.process) {
     var exited = false;
     this.spawn.process.once('exit', function (code) {
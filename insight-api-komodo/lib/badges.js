@@ -0,0 +1,136 @@
+'use strict';
+
+var bitcore = require('bitcore-lib-komodo');
+var _ = bitcore.deps._;
+var NotarizationStatus = require('./notarizationstatus');
+
+/**
+ * SVG badges with the confirmations and notarization state of a transaction or a block, to
+ * be hot-linked from other sites. They are rendered from the objects returned by the
+ * transaction and block APIs, so the txid and blockHash params have already loaded them.
+ *
+ * @param {Object} options
+ * @param {Node} options.node - The bitcore node
+ * @param {Number} options.cacheShortSeconds - Max age of badges that can still change
+ * @param {Number} options.cacheLongSeconds - Max age of badges of notarized objects
+ */
+function BadgeController(options) {
+  this.node = options.node;
+  this.cacheShortSeconds = options.cacheShortSeconds || 30;
+  this.cacheLongSeconds = options.cacheLongSeconds || 86400;
+}
+
+BadgeController.COLOR_NOTARIZED = '#4c1';
+BadgeController.COLOR_CONFIRMED = '#dfb317';
+BadgeController.COLOR_NO_DPOW = '#007ec6';
+BadgeController.COLOR_UNCONFIRMED = '#9f9f9f';
+BadgeController.COLOR_ORPHANED = '#e05d44';
+BadgeController.MAX_LABEL_LENGTH = 32;
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Close enough to the width of 11px Verdana for short texts
+function textWidth(text) {
+  return text.length * 7 + 10;
+}
+
+/**
+ * Renders a flat badge: a grey label on the left, the message on a colored background
+ */
+BadgeController.render = function (label, message, color) {
+  var labelWidth = textWidth(label);
+  var messageWidth = textWidth(message);
+  var width = labelWidth + messageWidth;
+  var title = escapeXml(label + ': ' + message);
+
+  return '<svg xmlns="http://www.w3.org/2000/svg" width="' + width + '" height="20" role="img" aria-label="' + title + '">' +
+    '<title>' + title + '</title>' +
+    '<linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>' +
+    '<clipPath id="r"><rect width="' + width + '" height="20" rx="3" fill="#fff"/></clipPath>' +
+    '<g clip-path="url(#r)">' +
+    '<rect width="' + labelWidth + '" height="20" fill="#555"/>' +
+    '<rect x="' + labelWidth + '" width="' + messageWidth + '" height="20" fill="' + color + '"/>' +
+    '<rect width="' + width + '" height="20" fill="url(#s)"/>' +
+    '</g>' +
+    '<g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">' +
+    '<text x="' + (labelWidth / 2) + '" y="14">' + escapeXml(label) + '</text>' +
+    '<text x="' + (labelWidth + messageWidth / 2) + '" y="14">' + escapeXml(message) + '</text>' +
+    '</g></svg>';
+};
+
+/**
+ * Returns the message and color of a badge, and whether it is final
+ * @param {Object} status - The notarizationStatus of the transaction or block
+ * @param {Number} confirmations
+ * @param {Boolean} orphaned - For a block that is not in the main chain
+ */
+BadgeController.getState = function (status, confirmations, orphaned) {
+  if (orphaned) {
+    return {
+      message: 'orphaned',
+      color: BadgeController.COLOR_ORPHANED,
+      final: false
+    };
+  }
+  if (status && status.state === NotarizationStatus.STATE_NOTARIZED) {
+    return {
+      message: 'notarized ✓',
+      color: BadgeController.COLOR_NOTARIZED,
+      final: true
+    };
+  }
+  if (!status || status.state === NotarizationStatus.STATE_UNCONFIRMED || !_.isNumber(confirmations) || confirmations <= 0) {
+    return {
+      message: 'unconfirmed',
+      color: BadgeController.COLOR_UNCONFIRMED,
+      final: false
+    };
+  }
+  return {
+    message: confirmations + (confirmations === 1 ? ' confirmation' : ' confirmations'),
+    color: status.dpowEnabled ? BadgeController.COLOR_CONFIRMED : BadgeController.COLOR_NO_DPOW,
+    final: false
+  };
+};
+
+BadgeController.prototype._getLabel = function (req, label) {
+  if (_.isString(req.query.label) && req.query.label.length) {
+    return req.query.label.substring(0, BadgeController.MAX_LABEL_LENGTH);
+  }
+  return label;
+};
+
+/**
+ * Badges of notarized objects are final and cached long, the others only as long as the
+ * short lived API responses, whatever the enableCache option.
+ */
+BadgeController.prototype._send = function (res, label, state) {
+  var maxAge = state.final ? this.cacheLongSeconds : this.cacheShortSeconds;
+  res.set('Content-Type', 'image/svg+xml; charset=utf-8');
+  res.set('Cache-Control', 'public, max-age=' + maxAge);
+  res.send(BadgeController.render(label, state.message, state.color));
+};
+
+BadgeController.prototype.transaction = function (req, res) {
+  var transaction = req.transaction;
+  if (transaction) {
+    this._send(res, this._getLabel(req, 'transaction'),
+      BadgeController.getState(transaction.notarizationStatus, transaction.confirmations, false));
+  }
+};
+
+BadgeController.prototype.block = function (req, res) {
+  var block = req.block;
+  if (block) {
+    this._send(res, this._getLabel(req, 'block'),
+      BadgeController.getState(block.notarizationStatus, block.confirmations, !block.isMainChain));
+  }
+};
+
+module.exports = BadgeController;
@@ -4,18 +4,26 @@ var async = require('async');
 var bitcore = require('bitcore-lib-komodo');
 var _ = bitcore.deps._;
 var pools = require('../pools.json');
-var notaries = require('../notaries.json'); // [+] Decker
 var BN = bitcore.crypto.BN;
-var LRU = require('lru-cache');
 var Common = require('./common');
+var NotarizationStatus = require('./notarizationstatus');
 
 function BlockController(options) {
   var self = this;
   this.node = options.node;
+  this.notarizationIndex = options.notarizationIndex;
+  this.notarizationVerifier = options.notarizationVerifier;
+  this.notaryRegistry = options.notaryRegistry;
+  this.orphanIndex = options.orphanIndex;
+  this.notarizationStatus = options.notarizationStatus || new NotarizationStatus({
+    node: this.node,
+    notarizationIndex: this.notarizationIndex
+  });
 
-  this.blockSummaryCache = LRU(options.blockSummaryCacheSize || BlockController.DEFAULT_BLOCKSUMMARY_CACHE_SIZE);
-  this.blockCacheConfirmations = 6;
-  this.blockCache = LRU(options.blockCacheSize || BlockController.DEFAULT_BLOCK_CACHE_SIZE);
+  var bitcoind = this.node.services.bitcoind;
+  this.blockSummaryCache = bitcoind.createCache('insight.blockSummaryCache', BlockController.DEFAULT_BLOCKSUMMARY_CACHE_BYTES);
+  this.summaryCacheConfirmations = 6;
+  this.blockCache = bitcoind.createCache('insight.blockCache', BlockController.DEFAULT_BLOCK_CACHE_BYTES);
 
   this.poolStrings = {};
   pools.forEach(function (pool) {
@@ -27,26 +35,19 @@ function BlockController(options) {
     });
   });
 
-  // [+] Decker
-  this.notariesStrings = {};
-  notaries.forEach(function (notary) {
-    notary.pubkey.forEach(function (s) {
-      self.notariesStrings[s] = {
-        poolName: notary.notaryName,
-        url: "https://www.wizapp.online/"
-      };
-    });
-  });
-
   this.common = new Common({
     log: this.node.log
   });
+
+  if (this.orphanIndex) {
+    this.orphanIndex.on('reorg', this._reorgHandler.bind(this));
+  }
 }
 
 var BLOCK_LIMIT = 200;
 
-BlockController.DEFAULT_BLOCKSUMMARY_CACHE_SIZE = 1000000;
-BlockController.DEFAULT_BLOCK_CACHE_SIZE = 1000;
+BlockController.DEFAULT_BLOCKSUMMARY_CACHE_BYTES = 32 * 1024 * 1024;
+BlockController.DEFAULT_BLOCK_CACHE_BYTES = 32 * 1024 * 1024;
 
 function isHexadecimal(hash) {
   if (!_.isString(hash)) {
@@ -55,6 +56,18 @@ function isHexadecimal(hash) {
   return /^[0-9a-fA-F]+$/.test(hash);
 }
 
+/**
+ * Evicts the orphaned blocks, and the fork block whose next block changed
+ */
+BlockController.prototype._reorgHandler = function (reorg) {
+  var self = this;
+  reorg.orphaned.forEach(function (orphan) {
+    self.blockCache.del(orphan.hash);
+    self.blockSummaryCache.del(orphan.hash);
+  });
+  this.blockCache.del(reorg.forkHash);
+};
+
 BlockController.prototype.checkBlockHash = function (req, res, next) {
   var self = this;
   var hash = req.params.blockHash;
@@ -70,12 +83,22 @@ BlockController.prototype.checkBlockHash = function (req, res, next) {
 BlockController.prototype.block = function (req, res, next) {
   var self = this;
   var hash = req.params.blockHash;
+  var bitcoind = self.node.services.bitcoind;
   var blockCached = self.blockCache.get(hash);
 
+  // the confirmations and notarization state change with the tip, they are added to a copy
+  // of the block so that cached blocks keep only what does not change
+  function addState(blockResult, confirmations, lastNotarizedHeight) {
+    var block = _.clone(blockResult);
+    block.confirmations = confirmations;
+    self._addNotarization(block, lastNotarizedHeight, function () {
+      req.block = block;
+      next();
+    });
+  }
+
   if (blockCached) {
-    blockCached.confirmations = self.node.services.bitcoind.height - blockCached.height + 1;
-    req.block = blockCached;
-    next();
+    addState(blockCached, bitcoind.height - blockCached.height + 1, bitcoind.notarizedHeight);
   } else {
     self.node.getBlock(hash, function (err, block) {
       if ((err && err.code === -5) || (err && err.code === -8)) {
@@ -88,16 +111,11 @@ BlockController.prototype.block = function (req, res, next) {
           return self.common.handleErrors(err, res);
         }
         var blockResult = self.transformBlock(block, info);
-        if (blockResult.confirmations >= self.blockCacheConfirmations) {
+        // final blocks do not change anymore, only their confirmations
+        if (blockResult.isMainChain && bitcoind.isFinalHeight(blockResult.height)) {
           self.blockCache.set(hash, blockResult);
         }
-        blockResult.notarized = false;
-        if (info.lastNotarizedHeight >= info.height) {
-          blockResult.notarized = true;
-        }
-        blockResult.lastNotarizedHeight = info.lastNotarizedHeight;
-        req.block = blockResult;
-        next();
+        addState(blockResult, info.confirmations, info.lastNotarizedHeight || 0);
       });
     });
   }
@@ -156,7 +174,7 @@ BlockController.prototype.transformBlock = function (block, info) {
     nextblockhash: info.nextHash,
     reward: this.getBlockReward(info.height) / 1e8,
     isMainChain: (info.confirmations !== -1),
-    poolInfo: this.getPoolInfo(block)
+    poolInfo: this.getPoolInfo(block, info.height, blockObj.header.time)
   };
 };
 
@@ -198,11 +216,7 @@ BlockController.prototype._getBlockSummary = function (hash, moreTimestamp, next
     return next(null, result);
   }
 
-  var summaryCache = self.blockSummaryCache.get(hash);
-
-  if (summaryCache) {
-    finish(summaryCache);
-  } else {
+  function query() {
     self.node.services.bitcoind.getRawBlock(hash, function (err, blockBuffer) {
       if (err) {
         return next(err);
@@ -227,34 +241,66 @@ BlockController.prototype._getBlockSummary = function (hash, moreTimestamp, next
         }
         var height = blockHeader.height;
 
-        /*       var notarized = false;
-                if (blockHeader.lastNotarizedHeight >= blockHeader.height) {
-                  notarized = true;
-                }
-                var lastNotarizedHeight = blockHeader.lastNotarizedHeight; */
-
         var summary = {
           height: height,
           size: blockBuffer.length,
           hash: hash,
           time: header.time,
           txlength: txlength,
-          poolInfo: self.getPoolInfo(info),
-          //          notarized: notarized,
-          //          lastNotarizedHeight: lastNotarizedHeight
-
+          poolInfo: self.getPoolInfo(info, height, header.time)
         };
 
         var confirmations = self.node.services.bitcoind.height - height + 1;
-        if (confirmations >= self.blockCacheConfirmations) {
+        if (confirmations >= self.summaryCacheConfirmations) {
           self.blockSummaryCache.set(hash, summary);
         }
+        self.node.services.bitcoind.setPersistentCache('summary/' + hash, height, summary);
 
         finish(summary);
       });
     });
+  }
+
+  var summaryCache = self.blockSummaryCache.get(hash);
+
+  if (summaryCache) {
+    return finish(summaryCache);
+  }
+  // summaries of final blocks outlive restarts
+  self.node.services.bitcoind.getPersistentCache('summary/' + hash, function (err, summary) {
+    if (!summary) {
+      return query();
+    }
+    self.blockSummaryCache.set(hash, summary);
+    finish(summary);
+  });
+};
+
+/**
+ * Last notarized height as seen from the current tip. The daemon only updates it when a
+ * block is connected, so it is looked up once per tip.
+ */
+BlockController.prototype._getLastNotarizedHeight = function (callback) {
+  var self = this;
+  var bitcoind = this.node.services.bitcoind;
+  var tip = bitcoind.tiphash || bitcoind.height;
 
+  if (this.lastNotarized && this.lastNotarized.tip === tip) {
+    return setImmediate(function () {
+      callback(null, self.lastNotarized.height);
+    });
   }
+
+  bitcoind.getBlockHeader(tip, function (err, header) {
+    if (err) {
+      return callback(err);
+    }
+    self.lastNotarized = {
+      tip: tip,
+      height: header.lastNotarizedHeight || 0
+    };
+    callback(null, self.lastNotarized.height);
+  });
 };
 
 // List blocks by date
@@ -310,43 +356,60 @@ BlockController.prototype.list = function (req, res) {
           return self.common.handleErrors(err, res);
         }
 
-        blocks.sort(function (a, b) {
-          return b.height - a.height;
-        });
-
-        var data = {
-          blocks: blocks,
-          length: blocks.length,
-          pagination: {
-            next: next,
-            prev: prev,
-            currentTs: lte - 1,
-            current: dateStr,
-            isToday: isToday,
-            more: more
+        self._getLastNotarizedHeight(function (err, lastNotarizedHeight) {
+          if (err) {
+            return self.common.handleErrors(err, res);
           }
-        };
 
-        if (more) {
-          data.pagination.moreTs = moreTimestamp;
-        }
+          blocks.sort(function (a, b) {
+            return b.height - a.height;
+          });
+
+          blocks.forEach(function (block) {
+            block.notarizationStatus = self.notarizationStatus.get(block.height, lastNotarizedHeight);
+            block.notarized = block.notarizationStatus.state === NotarizationStatus.STATE_NOTARIZED;
+          });
+
+          var data = {
+            blocks: blocks,
+            length: blocks.length,
+            lastNotarizedHeight: lastNotarizedHeight,
+            pagination: {
+              next: next,
+              prev: prev,
+              currentTs: lte - 1,
+              current: dateStr,
+              isToday: isToday,
+              more: more
+            }
+          };
+
+          if (more) {
+            data.pagination.moreTs = moreTimestamp;
+          }
 
-        res.jsonp(data);
+          res.jsonp(data);
+        });
       }
     );
   });
 };
 
-BlockController.prototype.getPoolInfo = function (block) {
+BlockController.prototype.getPoolInfo = function (block, height, time) {
   var coinbaseBuffer = block.transactions[0].inputs[0]._scriptBuffer;
   var scriptPubKeyBuffer = block.transactions[0].outputs[0]._scriptBuffer.toString("hex");
 
   // [+] Decker
-  for (var k in this.notariesStrings) {
-    // console.log("[Decker] " + scriptPubKeyBuffer + " - " + "21"+k+"ac" + " --- [" + scriptPubKeyBuffer.match("21"+k+"ac") +"]");
-    if (scriptPubKeyBuffer.match("21" + k + "ac")) {
-      return this.notariesStrings[k];
-    }
+  // blocks mined by a notary of the block's season pay to its pubkey
+  var pubkey = scriptPubKeyBuffer.match(/^21([0-9a-f]{66})ac$/);
+  var notary = pubkey && this.notaryRegistry.getNotaryByPubkey(pubkey[1], height, time);
+  if (notary) {
+    return {
+      poolName: notary.notaryName,
+      url: notary.url,
+      region: notary.region,
+      season: notary.season
+    };
   }
 
   for (var k in this.poolStrings) {
@@ -358,6 +421,54 @@ BlockController.prototype.getPoolInfo = function (block) {
   return {};
 };
 
+/**
+ * Returns the notarization covering a block height, with the signing notaries resolved
+ * from the notaries of the season of the notarization, or null if the block is not notarized yet.
+ */
+BlockController.prototype.getNotarization = function (height) {
+  var self = this;
+  if (!this.notarizationIndex) {
+    return null;
+  }
+  var record = this.notarizationIndex.getCoveringNotarization(height);
+  if (!record) {
+    return null;
+  }
+  return {
+    notarizedHeight: record.notarizedHeight,
+    notarizedHash: record.notarizedHash,
+    txid: record.txid,
+    destTxid: record.destTxid,
+    blockHeight: record.blockHeight,
+    notaries: record.signers.map(function (address) {
+      var notary = self.notaryRegistry.getNotaryByAddress(address, record.blockHeight, record.time) || {};
+      return {
+        notaryName: notary.notaryName || null,
+        address: address,
+        url: notary.url || null
+      };
+    })
+  };
+};
+
+/**
+ * Sets the notarization status and notarization of a block, and whether it was verified on KMD
+ */
+BlockController.prototype._addNotarization = function (block, lastNotarizedHeight, callback) {
+  block.notarizationStatus = this.notarizationStatus.get(block.height, lastNotarizedHeight);
+  block.notarized = block.notarizationStatus.state === NotarizationStatus.STATE_NOTARIZED;
+  block.lastNotarizedHeight = lastNotarizedHeight;
+  block.notarization = this.getNotarization(block.height);
+  if (!this.notarizationVerifier) {
+    block.notarizationVerified = null;
+    return callback();
+  }
+  this.notarizationVerifier.verify(block.notarization, function (err, verified) {
+    block.notarizationVerified = verified;
+    callback();
+  });
+};
+
 //helper to convert timestamps to yyyy-mm-dd format
 BlockController.prototype.formatTimestamp = function (date) {
   var yyyy = date.getUTCFullYear().toString();
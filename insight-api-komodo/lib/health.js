@@ -0,0 +1,101 @@
+'use strict';
+
+var Common = require('./common');
+
+/**
+ * Compares the chain tip with the last notarized block. The notarization lag in blocks is
+ * reported as ok, degraded or critical depending on two thresholds, or as disabled while the
+ * chain has no notarized block.
+ *
+ * @param {Object} options
+ * @param {Node} options.node - The bitcore node
+ * @param {NotarizationStatus} options.notarizationStatus - Tells whether the chain uses dPoW
+ * @param {Number} options.lagDegraded - Lag in blocks from which the health is degraded
+ * @param {Number} options.lagCritical - Lag in blocks from which the health is critical
+ */
+function HealthController(options) {
+  this.node = options.node;
+  this.notarizationStatus = options.notarizationStatus;
+  this.lagDegraded = options.lagDegraded || HealthController.DEFAULT_LAG_DEGRADED;
+  this.lagCritical = Math.max(options.lagCritical || HealthController.DEFAULT_LAG_CRITICAL, this.lagDegraded);
+
+  this.common = new Common({
+    log: this.node.log
+  });
+}
+
+HealthController.STATUS_OK = 'ok';
+HealthController.STATUS_DEGRADED = 'degraded';
+HealthController.STATUS_CRITICAL = 'critical';
+HealthController.STATUS_DISABLED = 'disabled';
+HealthController.DEFAULT_LAG_DEGRADED = 30;
+HealthController.DEFAULT_LAG_CRITICAL = 90;
+
+HealthController.prototype.getStatus = function (lag) {
+  if (lag >= this.lagCritical) {
+    return HealthController.STATUS_CRITICAL;
+  } else if (lag >= this.lagDegraded) {
+    return HealthController.STATUS_DEGRADED;
+  }
+  return HealthController.STATUS_OK;
+};
+
+/**
+ * Notarization health. Responds with HTTP 503 when critical so that monitoring can alert on
+ * the status code alone.
+ */
+HealthController.prototype.show = function (req, res) {
+  var self = this;
+  var bitcoind = this.node.services.bitcoind;
+
+  bitcoind.getInfo(function (err, info) {
+    if (err) {
+      return self.common.handleErrors(err, res);
+    }
+
+    var height = bitcoind.height;
+    var dpowEnabled = self.notarizationStatus.get(height, info.notarized || 0).dpowEnabled;
+    var notarizedHeight = dpowEnabled ? info.notarized : null;
+    var lag = dpowEnabled ? Math.max(height - notarizedHeight, 0) : null;
+    var status = dpowEnabled ? self.getStatus(lag) : HealthController.STATUS_DISABLED;
+
+    res.status(status === HealthController.STATUS_CRITICAL ? 503 : 200).jsonp({
+      status: status,
+      height: height,
+      notarizedHeight: notarizedHeight,
+      lastNotarizedBlockhash: info.lastNotarizedBlockhash || null,
+      lastNotarizedTxid: info.lastNotarizedTxid || null,
+      lag: lag,
+      thresholds: {
+        degraded: self.lagDegraded,
+        critical: self.lagCritical
+      },
+      time: Math.floor(Date.now() / 1000)
+    });
+  });
+};
+
+/**
+ * State of each komodod node the bitcoind service routes requests to. Responds with HTTP 503
+ * when none of them is healthy.
+ */
+HealthController.prototype.nodes = function (req, res) {
+  var self = this;
+
+  this.node.services.bitcoind.getNodeStates(function (err, nodes) {
+    if (err) {
+      return self.common.handleErrors(err, res);
+    }
+
+    var healthy = nodes.filter(function (node) {
+      return node.state === 'healthy';
+    }).length;
+
+    res.status(healthy ? 200 : 503).jsonp({
+      healthy: healthy,
+      nodes: nodes
+    });
+  });
+};
+
+module.exports = HealthController;
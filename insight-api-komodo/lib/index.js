@@ -0,0 +1,532 @@
+'use strict';
+
+var Writable = require('stream').Writable;
+var path = require('path');
+var bodyParser = require('body-parser');
+var compression = require('compression');
+var BaseService = require('./service');
+var inherits = require('util').inherits;
+var BlockController = require('./blocks');
+var TxController = require('./transactions');
+var AddressController = require('./addresses');
+var ChartController = require('./charts');
+var StatusController = require('./status');
+var HealthController = require('./health');
+var MessagesController = require('./messages');
+var UtilsController = require('./utils');
+var CurrencyController = require('./currency');
+var NotarizationController = require('./notarizations');
+var NotarizationIndex = require('./notarizationindex');
+var NotarizationVerifier = require('./notarizationverifier');
+var NotarizationStatus = require('./notarizationstatus');
+var LeaderboardController = require('./leaderboard');
+var OrphanIndex = require('./orphanindex');
+var OrphanController = require('./orphans');
+var MempoolTracker = require('./mempooltracker');
+var MempoolController = require('./mempool');
+var MoMProofController = require('./momproof');
+var BadgeController = require('./badges');
+var NotaryRegistry = require('./notaries');
+var WebhookController = require('./webhooks');
+var WebhookDispatcher = require('./webhookdispatcher');
+var RateLimiter = require('./ratelimiter');
+var morgan = require('morgan');
+var bitcore = require('bitcore-lib-komodo');
+var _ = bitcore.deps._;
+var $ = bitcore.util.preconditions;
+var Transaction = bitcore.Transaction;
+var EventEmitter = require('events').EventEmitter;
+var notaries = require('../notaries.json');
+
+/**
+ * A service for Bitcore to enable HTTP routes to query information about the blockchain.
+ *
+ * @param {Object} options
+ * @param {Boolean} options.enableCache - This will enable cache-control headers
+ * @param {Number} options.cacheShortSeconds - The time to cache short lived cache responses.
+ * @param {Number} options.cacheLongSeconds - The time to cache long lived cache responses.
+ * @param {String} options.routePrefix - The URL route prefix
+ * @param {String} options.dataPath - Directory for the explorer's own persistent data
+ * @param {Boolean} options.disableNotarizationIndex - Do not scan the chain for notarizations
+ * @param {Number} options.notarizationMinSignatures - Notary inputs required to count a notarization
+ * @param {String} options.notarizationSymbol - Symbol of the chain in its notarizations, defaults to its assetchain name
+ * @param {Number} options.kmdConfirmations - KMD confirmations required to verify a notarization
+ * @param {Number} options.notarizationLagDegraded - Notarization lag in blocks reported as degraded health
+ * @param {Number} options.notarizationLagCritical - Notarization lag in blocks reported as critical health
+ * @param {Boolean} options.enableWebhooks - Let clients register HTTP callbacks for chain events
+ * @param {Number} options.webhookMaxAttempts - Attempts before a webhook delivery is given up
+ * @param {Number} options.webhookRetryDelay - Delay before the first retry of a delivery in milliseconds
+ * @param {String} options.webhookApiKey - Key required in the X-Api-Key header to register webhooks
+ * @param {Number} options.webhookMaxPerClient - Webhooks each client address can register
+ * @param {Number} options.webhookMaxTotal - Webhooks registered by all clients
+ * @param {Number} options.webhookMaxAge - Milliseconds after which one-time webhooks are removed
+ * @param {Array} options.trustedProxies - Addresses of the reverse proxies whose cf-connecting-ip header is trusted
+ */
+var InsightAPI = function (options) {
+  BaseService.call(this, options);
+
+  // in minutes
+  this.currencyRefresh = options.currencyRefresh || CurrencyController.DEFAULT_CURRENCY_DELAY;
+
+  this.subscriptions = {
+    inv: []
+  };
+
+  if (!_.isUndefined(options.enableCache)) {
+    $.checkArgument(_.isBoolean(options.enableCache));
+    this.enableCache = options.enableCache;
+  }
+  this.cacheShortSeconds = options.cacheShortSeconds;
+  this.cacheLongSeconds = options.cacheLongSeconds;
+
+  this.rateLimiterOptions = options.rateLimiterOptions;
+  this.disableRateLimiter = options.disableRateLimiter;
+
+  if (!_.isUndefined(options.routePrefix)) {
+    this.routePrefix = options.routePrefix;
+  } else {
+    this.routePrefix = this.name;
+  }
+
+  this.dataPath = options.dataPath || this._getDefaultDataPath();
+
+  this.notaryRegistry = new NotaryRegistry({
+    node: this.node,
+    notaries: notaries
+  });
+
+  this.disableNotarizationIndex = options.disableNotarizationIndex;
+  if (!this.disableNotarizationIndex) {
+    this.notarizationIndex = new NotarizationIndex({
+      node: this.node,
+      dataPath: this.dataPath,
+      minSignatures: options.notarizationMinSignatures,
+      notaryRegistry: this.notaryRegistry,
+      symbol: options.notarizationSymbol
+    });
+    this.notarizationVerifier = new NotarizationVerifier({
+      node: this.node,
+      confirmations: options.kmdConfirmations
+    });
+  }
+
+  this.orphanIndex = new OrphanIndex({
+    node: this.node,
+    dataPath: this.dataPath
+  });
+
+  this.mempoolTracker = new MempoolTracker({
+    node: this.node,
+    syncInterval: options.mempoolSyncInterval
+  });
+
+  this.notarizationStatus = new NotarizationStatus({
+    node: this.node,
+    notarizationIndex: this.notarizationIndex
+  });
+
+  this.notarizationLagDegraded = options.notarizationLagDegraded;
+  this.notarizationLagCritical = options.notarizationLagCritical;
+
+  if (options.enableWebhooks) {
+    this.webhookDispatcher = new WebhookDispatcher({
+      node: this.node,
+      dataPath: this.dataPath,
+      maxAttempts: options.webhookMaxAttempts,
+      retryDelay: options.webhookRetryDelay,
+      maxPerClient: options.webhookMaxPerClient,
+      maxTotal: options.webhookMaxTotal,
+      maxAge: options.webhookMaxAge
+    });
+  }
+  this.webhookApiKey = options.webhookApiKey;
+  this.trustedProxies = options.trustedProxies || [];
+
+  this.txController = new TxController(this.node);
+};
+
+InsightAPI.dependencies = ['bitcoind', 'web'];
+
+inherits(InsightAPI, BaseService);
+
+InsightAPI.prototype._getDefaultDataPath = function () {
+  var baseConfigPath = this.node.configPath ? path.dirname(this.node.configPath) : process.cwd();
+  return path.resolve(baseConfigPath, 'insight-data');
+};
+
+InsightAPI.prototype.cache = function (maxAge) {
+  var self = this;
+  return function (req, res, next) {
+    if (self.enableCache) {
+      res.header('Cache-Control', 'public, max-age=' + maxAge);
+    }
+    next();
+  };
+};
+
+InsightAPI.prototype.cacheShort = function () {
+  var seconds = this.cacheShortSeconds || 30; // thirty seconds
+  return this.cache(seconds);
+};
+
+InsightAPI.prototype.cacheLong = function () {
+  var seconds = this.cacheLongSeconds || 86400; // one day
+  return this.cache(seconds);
+};
+
+InsightAPI.prototype.getRoutePrefix = function () {
+  return this.routePrefix;
+};
+
+InsightAPI.prototype.start = function (callback) {
+  this.node.services.bitcoind.on('tx', this.transactionEventHandler.bind(this));
+  this.node.services.bitcoind.on('block', this.blockEventHandler.bind(this));
+  this.node.services.bitcoind.on('notarized', this.notarizedEventHandler.bind(this));
+
+  this.orphanIndex.on('reorg', this.reorgEventHandler.bind(this));
+  this.orphanIndex.start();
+  this.mempoolTracker.start();
+
+  if (this.notarizationIndex) {
+    this.notarizationIndex.start();
+  }
+
+  if (this.webhookDispatcher) {
+    this.webhookDispatcher.start();
+  }
+
+  setImmediate(callback);
+};
+
+InsightAPI.prototype.stop = function (callback) {
+  var self = this;
+  var webhookDispatcher = this.webhookDispatcher;
+
+  function stopWebhooks() {
+    if (webhookDispatcher) {
+      return webhookDispatcher.stop(callback);
+    }
+    setImmediate(callback);
+  }
+
+  this.mempoolTracker.stop(function () {
+    if (self.notarizationIndex) {
+      return self.notarizationIndex.stop(stopWebhooks);
+    }
+    stopWebhooks();
+  });
+};
+
+InsightAPI.prototype.createLogInfoStream = function () {
+  var self = this;
+
+  function Log(options) {
+    Writable.call(this, options);
+  }
+  inherits(Log, Writable);
+
+  Log.prototype._write = function (chunk, enc, callback) {
+    self.node.log.info(chunk.slice(0, chunk.length - 1)); // remove new line and pass to logger
+    callback();
+  };
+  var stream = new Log();
+
+  return stream;
+};
+
+/**
+ * Returns the address of the client. The cf-connecting-ip header is set by the client when
+ * there is no reverse proxy, so it is only used for requests coming from a trusted proxy.
+ */
+InsightAPI.prototype.getRemoteAddress = function (req) {
+  var remoteAddress = req.socket.remoteAddress;
+  var proxyAddress = remoteAddress && remoteAddress.replace(/^::ffff:/, '');
+  if (req.headers['cf-connecting-ip'] && this.trustedProxies.indexOf(proxyAddress) !== -1) {
+    return req.headers['cf-connecting-ip'];
+  }
+  return remoteAddress;
+};
+
+InsightAPI.prototype._getRateLimiter = function () {
+  var rateLimiterOptions = _.isUndefined(this.rateLimiterOptions) ? {} : _.clone(this.rateLimiterOptions);
+  rateLimiterOptions.node = this.node;
+  var limiter = new RateLimiter(rateLimiterOptions);
+  return limiter;
+};
+
+InsightAPI.prototype.setupRoutes = function (app) {
+
+  var self = this;
+
+  //Enable rate limiter
+  if (!this.disableRateLimiter) {
+    var limiter = this._getRateLimiter();
+    app.use(limiter.middleware());
+  }
+
+  //Setup logging
+  morgan.token('remote-forward-addr', function (req) {
+    return self.getRemoteAddress(req);
+  });
+  var logFormat = ':remote-forward-addr ":method :url" :status :res[content-length] :response-time ":user-agent" ';
+  var logStream = this.createLogInfoStream();
+  app.use(morgan(logFormat, {
+    stream: logStream
+  }));
+
+  //Enable compression
+  app.use(compression());
+
+  //Enable urlencoded data
+  app.use(bodyParser.urlencoded({
+    extended: true
+  }));
+
+  //Enable CORS
+  app.use(function (req, res, next) {
+
+    res.header('Access-Control-Allow-Origin', '*');
+    res.header('Access-Control-Allow-Methods', 'GET, HEAD, PUT, POST, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Content-Length, Cache-Control, cf-connecting-ip');
+
+    var method = req.method && req.method.toUpperCase && req.method.toUpperCase();
+
+    if (method === 'OPTIONS') {
+      res.statusCode = 204;
+      res.end();
+    } else {
+      next();
+    }
+  });
+
+  //Block routes
+  var blockOptions = {
+    node: this.node,
+    notarizationIndex: this.notarizationIndex,
+    notarizationVerifier: this.notarizationVerifier,
+    notarizationStatus: this.notarizationStatus,
+    notaryRegistry: this.notaryRegistry,
+    orphanIndex: this.orphanIndex
+  };
+  var blocks = new BlockController(blockOptions);
+  app.get('/blocks', this.cacheShort(), blocks.list.bind(blocks));
+
+  app.get('/block/:blockHash', this.cacheShort(), blocks.checkBlockHash.bind(blocks), blocks.show.bind(blocks));
+  app.param('blockHash', blocks.block.bind(blocks));
+
+  app.get('/rawblock/:blockHash', this.cacheLong(), blocks.checkBlockHash.bind(blocks), blocks.showRaw.bind(blocks));
+  app.param('blockHash', blocks.rawBlock.bind(blocks));
+
+  app.get('/block-index/:height', this.cacheShort(), blocks.blockIndex.bind(blocks));
+
+  // Orphan routes
+  var orphans = new OrphanController({
+    node: this.node,
+    orphanIndex: this.orphanIndex
+  });
+  app.get('/orphans', this.cacheShort(), orphans.list.bind(orphans));
+
+  // Mempool routes
+  var mempool = new MempoolController({
+    node: this.node,
+    mempoolTracker: this.mempoolTracker
+  });
+  app.get('/mempool', mempool.show.bind(mempool));
+
+  // Chart routes
+  var chartOptions = {
+    node: this.node,
+    blocks: blocks
+  };
+  var charts = new ChartController(chartOptions);
+  app.get('/charts', this.cacheShort(), charts.list.bind(charts));
+  app.get('/chart/:chartType', this.cacheShort(), charts.show.bind(charts));
+  app.param('chartType', charts.chart.bind(charts));
+
+  // Transaction routes
+  var transactions = new TxController(this.node, {
+    notarizationIndex: this.notarizationIndex,
+    notarizationVerifier: this.notarizationVerifier,
+    notarizationStatus: this.notarizationStatus,
+    notaryRegistry: this.notaryRegistry
+  });
+  app.get('/tx/:txid', this.cacheShort(), transactions.show.bind(transactions));
+  app.get('/tx/:txid/finality', transactions.finality.bind(transactions));
+  app.param('txid', transactions.transaction.bind(transactions));
+  app.get('/txs', this.cacheShort(), transactions.list.bind(transactions));
+  app.post('/tx/send', transactions.send.bind(transactions));
+
+  // Raw Routes
+  app.get('/rawtx/:txid', this.cacheLong(), transactions.showRaw.bind(transactions));
+  app.param('txid', transactions.rawTransaction.bind(transactions));
+
+  // MoM proof routes
+  var momProofs = new MoMProofController({
+    node: this.node,
+    notarizationIndex: this.notarizationIndex
+  });
+  app.get('/tx/:txid/momproof', this.cacheShort(), momProofs.show.bind(momProofs));
+  app.post('/momproof/verify', bodyParser.json(), momProofs.verify.bind(momProofs));
+
+  // Badge routes
+  var badges = new BadgeController({
+    node: this.node,
+    cacheShortSeconds: this.cacheShortSeconds,
+    cacheLongSeconds: this.cacheLongSeconds
+  });
+  app.get('/tx/:txid/badge.svg', badges.transaction.bind(badges));
+  app.get('/block/:blockHash/badge.svg', blocks.checkBlockHash.bind(blocks), badges.block.bind(badges));
+
+  // Address routes
+  var addresses = new AddressController(this.node, {
+    notaryRegistry: this.notaryRegistry,
+    notarizationStatus: this.notarizationStatus
+  });
+  app.get('/addr/:addr', this.cacheShort(), addresses.checkAddr.bind(addresses), addresses.show.bind(addresses));
+  app.get('/addr/:addr/utxo', this.cacheShort(), addresses.checkAddr.bind(addresses), addresses.utxo.bind(addresses));
+  app.get('/addrs/:addrs/utxo', this.cacheShort(), addresses.checkAddrs.bind(addresses), addresses.multiutxo.bind(addresses));
+  app.post('/addrs/utxo', this.cacheShort(), addresses.checkAddrs.bind(addresses), addresses.multiutxo.bind(addresses));
+  app.get('/addrs/:addrs/txs', this.cacheShort(), addresses.checkAddrs.bind(addresses), addresses.multitxs.bind(addresses));
+  app.post('/addrs/txs', this.cacheShort(), addresses.checkAddrs.bind(addresses), addresses.multitxs.bind(addresses));
+
+  // Address property routes
+  app.get('/addr/:addr/balance', this.cacheShort(), addresses.checkAddr.bind(addresses), addresses.balance.bind(addresses));
+  app.get('/addr/:addr/totalReceived', this.cacheShort(), addresses.checkAddr.bind(addresses), addresses.totalReceived.bind(addresses));
+  app.get('/addr/:addr/totalSent', this.cacheShort(), addresses.checkAddr.bind(addresses), addresses.totalSent.bind(addresses));
+  app.get('/addr/:addr/unconfirmedBalance', this.cacheShort(), addresses.checkAddr.bind(addresses), addresses.unconfirmedBalance.bind(addresses));
+
+  // Notarization routes
+  var notarizations = new NotarizationController({
+    node: this.node,
+    notarizationIndex: this.notarizationIndex
+  });
+  app.get('/notarizations', this.cacheShort(), notarizations.list.bind(notarizations));
+  app.get('/notarizations/latency', this.cacheShort(), notarizations.latency.bind(notarizations));
+  app.get('/notarizations/:notarizedHeight', this.cacheShort(), notarizations.show.bind(notarizations));
+  app.param('notarizedHeight', notarizations.notarization.bind(notarizations));
+
+  // Notary routes
+  var leaderboard = new LeaderboardController({
+    node: this.node,
+    notarizationIndex: this.notarizationIndex,
+    notaryRegistry: this.notaryRegistry
+  });
+  app.get('/notaries/leaderboard', this.cacheShort(), leaderboard.show.bind(leaderboard));
+  app.get('/notaries/seasons', this.cacheShort(), leaderboard.seasons.bind(leaderboard));
+
+  // Webhook routes
+  var webhooks = new WebhookController({
+    node: this.node,
+    webhookDispatcher: this.webhookDispatcher,
+    apiKey: this.webhookApiKey,
+    getRemoteAddress: this.getRemoteAddress.bind(this)
+  });
+  app.post('/webhooks', bodyParser.json(), webhooks.create.bind(webhooks));
+  app.get('/webhooks/:webhookId', webhooks.show.bind(webhooks));
+  app.get('/webhooks/:webhookId/deliveries', webhooks.deliveries.bind(webhooks));
+  app.delete('/webhooks/:webhookId', webhooks.remove.bind(webhooks));
+  app.param('webhookId', webhooks.webhook.bind(webhooks));
+
+  // Status route
+  var status = new StatusController(this.node, {
+    notarizationStatus: this.notarizationStatus
+  });
+  app.get('/status', this.cacheShort(), status.show.bind(status));
+  app.get('/sync', this.cacheShort(), status.sync.bind(status));
+  app.get('/peer', this.cacheShort(), status.peer.bind(status));
+  app.get('/version', this.cacheShort(), status.version.bind(status));
+  app.get('/cache/stats', status.cacheStats.bind(status));
+
+  // Health route
+  var health = new HealthController({
+    node: this.node,
+    notarizationStatus: this.notarizationStatus,
+    lagDegraded: this.notarizationLagDegraded,
+    lagCritical: this.notarizationLagCritical
+  });
+  app.get('/health', health.show.bind(health));
+  app.get('/health/nodes', health.nodes.bind(health));
+
+  // Address routes
+  var messages = new MessagesController(this.node);
+  app.get('/messages/verify', messages.verify.bind(messages));
+  app.post('/messages/verify', messages.verify.bind(messages));
+
+  // Utils route
+  var utils = new UtilsController(this.node);
+  app.get('/utils/estimatefee', utils.estimateFee.bind(utils));
+
+  // Currency
+  var currency = new CurrencyController({
+    node: this.node,
+    currencyRefresh: this.currencyRefresh
+  });
+  app.get('/currency', currency.index.bind(currency));
+
+  // Not Found
+  app.use(function (req, res) {
+    res.status(404).jsonp({
+      status: 404,
+      url: req.originalUrl,
+      error: 'Not found'
+    });
+  });
+
+};
+
+InsightAPI.prototype.getPublishEvents = function () {
+  return [{
+    name: 'inv',
+    scope: this,
+    subscribe: this.subscribe.bind(this),
+    unsubscribe: this.unsubscribe.bind(this),
+    extraEvents: ['tx', 'block', 'notarized', 'reorg']
+  }];
+};
+
+InsightAPI.prototype.blockEventHandler = function (hashBuffer) {
+  // Notify inv subscribers
+  for (var i = 0; i < this.subscriptions.inv.length; i++) {
+    this.subscriptions.inv[i].emit('block', hashBuffer.toString('hex'));
+  }
+};
+InsightAPI.prototype.notarizedEventHandler = function (notarized) {
+  for (var i = 0; i < this.subscriptions.inv.length; i++) {
+    this.subscriptions.inv[i].emit('notarized', notarized);
+  }
+};
+InsightAPI.prototype.reorgEventHandler = function (reorg) {
+  for (var i = 0; i < this.subscriptions.inv.length; i++) {
+    this.subscriptions.inv[i].emit('reorg', reorg);
+  }
+};
+InsightAPI.prototype.transactionEventHandler = function (txBuffer) {
+  var tx = new Transaction().fromBuffer(txBuffer);
+  var result = this.txController.transformInvTransaction(tx);
+
+  for (var i = 0; i < this.subscriptions.inv.length; i++) {
+    this.subscriptions.inv[i].emit('tx', result);
+  }
+};
+
+InsightAPI.prototype.subscribe = function (emitter) {
+  $.checkArgument(emitter instanceof EventEmitter, 'First argument is expected to be an EventEmitter');
+
+  var emitters = this.subscriptions.inv;
+  var index = emitters.indexOf(emitter);
+  if (index === -1) {
+    emitters.push(emitter);
+  }
+};
+
+InsightAPI.prototype.unsubscribe = function (emitter) {
+  $.checkArgument(emitter instanceof EventEmitter, 'First argument is expected to be an EventEmitter');
+
+  var emitters = this.subscriptions.inv;
+  var index = emitters.indexOf(emitter);
+  if (index > -1) {
+    emitters.splice(index, 1);
+  }
+};
+
+module.exports = InsightAPI;
@@ -0,0 +1,118 @@
+'use strict';
+
+var bitcore = require('bitcore-lib-komodo');
+var _ = bitcore.deps._;
+var Common = require('./common');
+
+var MAX_WINDOW_HOURS = 24 * 90;
+
+function LeaderboardController(options) {
+  this.node = options.node;
+  this.notarizationIndex = options.notarizationIndex;
+  this.notaryRegistry = options.notaryRegistry;
+
+  this.common = new Common({
+    log: this.node.log
+  });
+}
+
+LeaderboardController.DEFAULT_WINDOW_HOURS = 24;
+
+/**
+ * Blocks mined and notarizations signed by each notary in the last `hours` hours. Notaries
+ * of the current season that signed no notarization in that window are reported as silent.
+ */
+LeaderboardController.prototype.show = function (req, res) {
+  var index = this.notarizationIndex;
+  var registry = this.notaryRegistry;
+  if (!index) {
+    return res.status(501).send('Notarization index is disabled');
+  }
+
+  var hours = parseInt(req.query.hours) || LeaderboardController.DEFAULT_WINDOW_HOURS;
+  hours = Math.min(Math.max(hours, 1), MAX_WINDOW_HOURS);
+  var to = Math.floor(Date.now() / 1000);
+  var from = to - hours * 3600;
+
+  var stats = {};
+  function getStats(notary) {
+    if (!stats[notary.notaryName]) {
+      stats[notary.notaryName] = {
+        notaryName: notary.notaryName,
+        season: notary.season,
+        blocksMined: 0,
+        notarizationsSigned: 0,
+        lastMined: null,
+        lastSigned: null
+      };
+    }
+    return stats[notary.notaryName];
+  }
+
+  var season = registry.getSeason(this.node.services.bitcoind.height, to);
+  if (season) {
+    season.notaries.forEach(function (notary) {
+      var notaryStats = getStats(notary);
+      notary.pubkeys.forEach(function (pubkey) {
+        notaryStats.lastMined = Math.max(notaryStats.lastMined, index.lastMined[pubkey] || 0) || null;
+      });
+      notary.addresses.forEach(function (address) {
+        notaryStats.lastSigned = Math.max(notaryStats.lastSigned, index.lastSigned[address] || 0) || null;
+      });
+    });
+  }
+
+  var notarizations = index.getNotarizationsSince(from);
+  notarizations.forEach(function (record) {
+    var signed = {};
+    record.signers.forEach(function (address) {
+      var notary = registry.getNotaryByAddress(address, record.blockHeight, record.time);
+      if (notary && !signed[notary.notaryName]) {
+        signed[notary.notaryName] = true;
+        getStats(notary).notarizationsSigned++;
+      }
+    });
+  });
+
+  var minedBlocks = index.getMinedBlocksSince(from);
+  minedBlocks.forEach(function (record) {
+    var notary = registry.getNotaryByPubkey(record.pubkey, record.height, record.time);
+    if (notary) {
+      getStats(notary).blocksMined++;
+    }
+  });
+
+  var leaderboard = _.values(stats);
+  leaderboard.forEach(function (notary) {
+    notary.silent = notary.notarizationsSigned === 0;
+  });
+  leaderboard.sort(function (a, b) {
+    return b.notarizationsSigned - a.notarizationsSigned || b.blocksMined - a.blocksMined ||
+      (a.notaryName < b.notaryName ? -1 : 1);
+  });
+
+  res.jsonp({
+    season: season ? season.name : null,
+    hours: hours,
+    from: from,
+    to: to,
+    scannedHeight: index.height,
+    notarizations: notarizations.length,
+    notaryBlocks: minedBlocks.length,
+    notaries: leaderboard,
+    silent: _.pluck(_.filter(leaderboard, 'silent'), 'notaryName')
+  });
+};
+
+/**
+ * Lists the notary seasons and their members
+ */
+LeaderboardController.prototype.seasons = function (req, res) {
+  var season = this.notaryRegistry.getSeason(this.node.services.bitcoind.height, Math.floor(Date.now() / 1000));
+  res.jsonp({
+    current: season ? season.name : null,
+    seasons: this.notaryRegistry.getSeasons()
+  });
+};
+
+module.exports = LeaderboardController;
@@ -0,0 +1,52 @@
+'use strict';
+
+var Common = require('./common');
+
+var TX_LIMIT = 500;
+
+function MempoolController(options) {
+  this.node = options.node;
+  this.mempoolTracker = options.mempoolTracker;
+
+  this.common = new Common({
+    log: this.node.log
+  });
+}
+
+MempoolController.DEFAULT_PAGE_LENGTH = 50;
+
+// Summary of the unconfirmed transactions, with the most recently seen ones
+MempoolController.prototype.show = function (req, res) {
+  var page = parseInt(req.query.pageNum) || 0;
+  var pageLength = Math.min(parseInt(req.query.limit) || MempoolController.DEFAULT_PAGE_LENGTH, TX_LIMIT);
+  if (page < 0 || pageLength < 0) {
+    return this.common.handleErrors({
+      message: 'pageNum and limit must not be negative',
+      code: 1
+    }, res);
+  }
+  var summary = this.mempoolTracker.getSummary();
+  var from = page * pageLength;
+
+  var txs = this.mempoolTracker.getTransactions(from, from + pageLength).map(function (entry) {
+    return {
+      txid: entry.txid,
+      time: entry.time,
+      size: entry.size,
+      fee: entry.fee / 1e8,
+      feeRate: Math.round(entry.feeRate * 100) / 100,
+      expiryHeight: entry.expiryHeight
+    };
+  });
+
+  res.jsonp({
+    count: summary.count,
+    size: summary.size,
+    fees: summary.fees / 1e8,
+    feeRateHistogram: summary.feeRateHistogram,
+    pagesTotal: Math.ceil(summary.count / pageLength),
+    txs: txs
+  });
+};
+
+module.exports = MempoolController;
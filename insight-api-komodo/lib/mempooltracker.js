@@ -0,0 +1,222 @@
+'use strict';
+
+var async = require('async');
+var bitcore = require('bitcore-lib-komodo');
+var _ = bitcore.deps._;
+
+/**
+ * Keeps the set of unconfirmed transactions with when they were first seen, their size and
+ * fee. Transactions are added as komodod relays them and dropped when they are mined or
+ * expire. The set is also synced with the mempool of komodod periodically, which catches
+ * transactions evicted by the daemon and the ones that arrived while the explorer was down.
+ *
+ * @param {Object} options
+ * @param {Node} options.node - The bitcore node
+ * @param {Number} options.syncInterval - Milliseconds between syncs with komodod
+ */
+function MempoolTracker(options) {
+  this.node = options.node;
+  this.syncInterval = options.syncInterval || MempoolTracker.DEFAULT_SYNC_INTERVAL;
+
+  this.entries = {};
+  this.syncing = false;
+}
+
+MempoolTracker.DEFAULT_SYNC_INTERVAL = 60000;
+
+// lower bounds of the fee rate histogram buckets, in satoshis per byte
+MempoolTracker.FEE_RATE_BUCKETS = [0, 1, 2, 5, 10, 20, 50, 100, 200, 500, 1000];
+
+/**
+ * Adds a transaction. Fees computed from the inputs and outputs are negative for KMD interest
+ * claims and unknown for shielded transactions without their value balance, those count as
+ * no fee until komodod reports it on the next sync.
+ */
+MempoolTracker.prototype._add = function (txid, entry) {
+  var fee = entry.fee > 0 ? entry.fee : 0;
+  this.entries[txid] = {
+    txid: txid,
+    time: entry.time,
+    size: entry.size,
+    fee: fee,
+    feeRate: entry.size ? fee / entry.size : 0,
+    expiryHeight: entry.expiryHeight || null
+  };
+};
+
+/**
+ * Adds a transaction relayed by komodod. Transactions of new blocks are relayed as well,
+ * those already have a height.
+ */
+MempoolTracker.prototype._transactionHandler = function (txBuffer) {
+  var self = this;
+  var hash = bitcore.crypto.Hash.sha256sha256(txBuffer);
+  var txid = bitcore.util.buffer.reverse(hash).toString('hex');
+  if (this.entries[txid]) {
+    return;
+  }
+  var time = Math.floor(Date.now() / 1000);
+
+  this.node.getDetailedTransaction(txid, function (err, transaction) {
+    if (err) {
+      return self.node.log.debug('Mempool transaction ' + txid + ':', err.message);
+    }
+    if (transaction.height >= 0) {
+      return;
+    }
+    self._add(txid, {
+      time: time,
+      size: txBuffer.length,
+      fee: transaction.feeSatoshis,
+      expiryHeight: transaction.nExpiryHeight
+    });
+  });
+};
+
+/**
+ * Drops the transactions of the new tip and the ones expired at its height. Overwinter
+ * transactions can not be mined above their nExpiryHeight.
+ */
+MempoolTracker.prototype._tipHandler = function (height) {
+  var self = this;
+
+  _.each(this.entries, function (entry, txid) {
+    if (entry.expiryHeight && entry.expiryHeight <= height) {
+      delete self.entries[txid];
+    }
+  });
+
+  this.node.getBlockOverview(this.node.services.bitcoind.tiphash, function (err, block) {
+    if (err) {
+      return self.node.log.error('Mempool:', err.message);
+    }
+    block.txids.forEach(function (txid) {
+      delete self.entries[txid];
+    });
+  });
+};
+
+/**
+ * Sets the expiry height of transactions known only from the mempool of komodod, which does
+ * not list it
+ * @param {Array} txids
+ * @param {Function} callback
+ */
+MempoolTracker.prototype._addExpiryHeights = function (txids, callback) {
+  var self = this;
+  async.eachSeries(txids, function (txid, next) {
+    self.node.getDetailedTransaction(txid, function (err, transaction) {
+      if (err) {
+        self.node.log.debug('Mempool transaction ' + txid + ':', err.message);
+      } else if (self.entries[txid]) {
+        self.entries[txid].expiryHeight = transaction.nExpiryHeight || null;
+      }
+      next();
+    });
+  }, callback);
+};
+
+/**
+ * Merges the mempool of komodod into the set, keeping when the transactions already in the
+ * set were first seen and their expiry height. Their fees are taken from komodod, which
+ * accounts for interest and shielded values. Transactions of the set that komodod no longer
+ * has are dropped, unless they were relayed while its mempool was requested.
+ */
+MempoolTracker.prototype.sync = function () {
+  var self = this;
+  if (this.syncing) {
+    return;
+  }
+  this.syncing = true;
+
+  var requested = _.keys(this.entries);
+  this.node.getMempoolEntries(function (err, mempool) {
+    if (err) {
+      self.syncing = false;
+      return self.node.log.error('Mempool sync failed:', err.message);
+    }
+    requested.forEach(function (txid) {
+      if (!mempool[txid]) {
+        delete self.entries[txid];
+      }
+    });
+    var added = [];
+    _.each(mempool, function (entry, txid) {
+      var current = self.entries[txid];
+      if (!current) {
+        added.push(txid);
+      }
+      self._add(txid, current ? _.extend({}, entry, {
+        time: current.time,
+        expiryHeight: current.expiryHeight
+      }) : entry);
+    });
+    self._addExpiryHeights(added, function () {
+      self.syncing = false;
+    });
+  });
+};
+
+MempoolTracker.prototype.start = function () {
+  var self = this;
+  var bitcoind = this.node.services.bitcoind;
+  bitcoind.on('tx', this._transactionHandler.bind(this));
+  bitcoind.on('tip', this._tipHandler.bind(this));
+
+  this.sync();
+  this.interval = setInterval(function () {
+    self.sync();
+  }, this.syncInterval);
+  this.interval.unref();
+};
+
+MempoolTracker.prototype.stop = function (callback) {
+  clearInterval(this.interval);
+  setImmediate(callback);
+};
+
+/**
+ * Returns the number of transactions, their total size and fees, and the fee rate histogram
+ */
+MempoolTracker.prototype.getSummary = function () {
+  var buckets = MempoolTracker.FEE_RATE_BUCKETS;
+  var histogram = buckets.map(function (minFeeRate, i) {
+    return {
+      minFeeRate: minFeeRate,
+      maxFeeRate: i < buckets.length - 1 ? buckets[i + 1] : null,
+      count: 0,
+      size: 0
+    };
+  });
+
+  var summary = {
+    count: 0,
+    size: 0,
+    fees: 0,
+    feeRateHistogram: histogram
+  };
+
+  _.each(this.entries, function (entry) {
+    summary.count++;
+    summary.size += entry.size;
+    summary.fees += entry.fee;
+    var bucket = histogram[_.sortedLastIndex(buckets, entry.feeRate) - 1];
+    bucket.count++;
+    bucket.size += entry.size;
+  });
+
+  return summary;
+};
+
+/**
+ * Returns transactions, most recently seen first
+ * @param {Number} from - Offset of the first transaction
+ * @param {Number} to - Offset after the last transaction
+ */
+MempoolTracker.prototype.getTransactions = function (from, to) {
+  return _.sortBy(_.values(this.entries), function (entry) {
+    return -entry.time;
+  }).slice(from, to);
+};
+
+module.exports = MempoolTracker;
@@ -0,0 +1,318 @@
+'use strict';
+
+var async = require('async');
+var bitcore = require('bitcore-lib-komodo');
+var _ = bitcore.deps._;
+var Common = require('./common');
+var NotarizationIndex = require('./notarizationindex');
+
+var Hash = bitcore.crypto.Hash;
+var reverse = bitcore.util.buffer.reverse;
+
+/**
+ * Proofs that a transaction is covered by the MoM of a notarization. A notarization commits
+ * to the MoM: the merkle root of the merkle roots of the notarized block and of the blocks
+ * below it, `depth` blocks in all, the notarized block first. A proof chains two merkle
+ * branches: the transaction up to the merkle root of its block, then that merkle root up to
+ * the MoM. Hashes are hex in the usual reversed byte order, like txids.
+ *
+ * The proof also carries the header of the block and the raw notarization transaction, which
+ * tie the merkle root to the block hash and the MoM to the notarization.
+ *
+ * @param {Object} options
+ * @param {Node} options.node - The bitcore node
+ * @param {NotarizationIndex} options.notarizationIndex - Finds the notarization transaction
+ */
+function MoMProofController(options) {
+  this.node = options.node;
+  this.notarizationIndex = options.notarizationIndex;
+
+  this.common = new Common({
+    log: this.node.log
+  });
+
+  // merkle roots of the blocks of each MoM, by MoM, which do not change once notarized
+  this.leavesCache = this.node.services.bitcoind.createCache('insight.momLeavesCache',
+    MoMProofController.DEFAULT_CACHE_BYTES);
+}
+
+MoMProofController.MAX_DEPTH = 1440;
+MoMProofController.DEFAULT_CACHE_BYTES = 16 * 1024 * 1024;
+
+/**
+ * Returns the sibling hashes from a leaf up to the merkle root, as buffers. Rows with an
+ * odd number of hashes pair the last one with itself.
+ * @param {Array} leaves - The leaves as buffers
+ * @param {Number} index - Index of the leaf
+ */
+MoMProofController.getMerkleBranch = function (leaves, index) {
+  var branch = [];
+  var row = leaves;
+  while (row.length > 1) {
+    branch.push(row[Math.min(index ^ 1, row.length - 1)]);
+    var next = [];
+    for (var i = 0; i < row.length; i += 2) {
+      next.push(Hash.sha256sha256(Buffer.concat([row[i], row[Math.min(i + 1, row.length - 1)]])));
+    }
+    row = next;
+    index = index >> 1;
+  }
+  return branch;
+};
+
+/**
+ * Returns the merkle root reached from a leaf through its branch
+ * @param {Buffer} leaf
+ * @param {Array} branch - The sibling hashes as buffers
+ * @param {Number} index - Index of the leaf
+ */
+MoMProofController.getMerkleRoot = function (leaf, branch, index) {
+  var hash = leaf;
+  branch.forEach(function (sibling) {
+    hash = Hash.sha256sha256(index & 1 ? Buffer.concat([sibling, hash]) : Buffer.concat([hash, sibling]));
+    index = index >> 1;
+  });
+  return hash;
+};
+
+function toBuffer(hex) {
+  return reverse(new Buffer(hex, 'hex'));
+}
+
+function toHex(buffer) {
+  return reverse(buffer).toString('hex');
+}
+
+function isHash(hex) {
+  return _.isString(hex) && /^[0-9a-fA-F]{64}$/.test(hex);
+}
+
+function isIndex(index) {
+  return _.isNumber(index) && index >= 0;
+}
+
+function isHex(hex) {
+  return _.isString(hex) && /^([0-9a-fA-F]{2})+$/.test(hex);
+}
+
+/**
+ * Returns the MoM data of a raw notarization transaction, or null when it has none
+ * @param {Buffer} txBuffer
+ */
+MoMProofController.getNotarizationData = function (txBuffer) {
+  var transaction = new bitcore.Transaction().fromBuffer(txBuffer);
+  for (var i = 0; i < transaction.outputs.length; i++) {
+    var data = NotarizationIndex.getOpReturnData(transaction.outputs[i].script);
+    var opreturn = data && NotarizationIndex.parseOpReturn(data);
+    if (opreturn && opreturn.MoM) {
+      return opreturn;
+    }
+  }
+  return null;
+};
+
+/**
+ * Checks a proof without the chain: the block header against the block hash and merkle root,
+ * both merkle branches, that the block sits at the place of its height among the blocks of
+ * the MoM, and that the raw notarization transaction commits to that MoM. What remains for
+ * the caller is to check that the notarization transaction is confirmed on the chain.
+ * @param {Object} proof - A proof as returned by the momproof endpoint
+ */
+MoMProofController.verify = function (proof) {
+  var errors = [];
+  var tx = proof && proof.txProof;
+  var mom = proof && proof.momProof;
+  var notarization = proof && proof.notarization;
+
+  if (!tx || !mom || !notarization || !isHash(proof.txid) || !isHash(proof.blockHash) ||
+    !isHash(proof.merkleRoot) || !isHex(proof.blockHeader) || !isHash(mom.MoM) ||
+    !isHash(notarization.txid) || !isHex(notarization.rawTx) ||
+    !_.isArray(tx.branch) || !_.isArray(mom.branch) ||
+    !_.every(tx.branch, isHash) || !_.every(mom.branch, isHash) ||
+    !isIndex(tx.index) || !isIndex(mom.index)) {
+    return {
+      valid: false,
+      errors: ['Malformed proof']
+    };
+  }
+
+  var header, opreturn;
+  try {
+    header = bitcore.BlockHeader.fromBuffer(new Buffer(proof.blockHeader, 'hex'));
+    opreturn = MoMProofController.getNotarizationData(new Buffer(notarization.rawTx, 'hex'));
+  } catch (e) {
+    return {
+      valid: false,
+      errors: ['Malformed proof']
+    };
+  }
+
+  if (header.hash !== proof.blockHash.toLowerCase() || toHex(header.merkleRoot) !== proof.merkleRoot.toLowerCase()) {
+    errors.push('Block header does not match the block');
+  }
+
+  var merkleRoot = MoMProofController.getMerkleRoot(toBuffer(proof.txid), tx.branch.map(toBuffer), tx.index);
+  if (toHex(merkleRoot) !== proof.merkleRoot.toLowerCase()) {
+    errors.push('Transaction is not in the block');
+  }
+
+  var MoM = MoMProofController.getMerkleRoot(toBuffer(proof.merkleRoot), mom.branch.map(toBuffer), mom.index);
+  if (toHex(MoM) !== mom.MoM.toLowerCase()) {
+    errors.push('Block is not in the MoM');
+  }
+
+  if (mom.index !== mom.notarizedHeight - proof.height || mom.index >= mom.depth) {
+    errors.push('Block height is not covered by the MoM');
+  }
+
+  var notarizationTxid = toHex(Hash.sha256sha256(new Buffer(notarization.rawTx, 'hex')));
+  if (notarizationTxid !== notarization.txid.toLowerCase()) {
+    errors.push('Notarization transaction does not match its txid');
+  }
+
+  if (!opreturn || opreturn.MoM !== mom.MoM.toLowerCase() || opreturn.MoMdepth !== mom.depth ||
+    opreturn.notarizedHeight !== mom.notarizedHeight) {
+    errors.push('MoM is not the one of the notarization');
+  }
+
+  return {
+    valid: !errors.length,
+    errors: errors
+  };
+};
+
+/**
+ * Builds the MoM proof of a transaction. The MoM of its notarization comes from the daemon,
+ * the branches and the header from the blocks and the notarization from the index.
+ */
+MoMProofController.prototype.show = function (req, res) {
+  var self = this;
+  var transaction = req.transaction;
+  if (!transaction) {
+    return;
+  }
+  if (!this.notarizationIndex) {
+    return res.status(501).send('Notarization index is disabled');
+  }
+  if (!transaction.blockhash || transaction.blockheight < 0) {
+    return this.common.handleErrors({
+      message: 'Transaction is not in a block',
+      code: 1
+    }, res);
+  }
+
+  var height = transaction.blockheight;
+  var proof = {
+    txid: transaction.txid,
+    blockHash: transaction.blockhash,
+    height: height
+  };
+
+  async.waterfall([
+    function (next) {
+      self.node.getRawBlock(transaction.blockhash, next);
+    },
+    function (blockBuffer, next) {
+      proof.blockHeader = bitcore.BlockHeader.fromBuffer(blockBuffer).toBuffer().toString('hex');
+      self.node.getBlockOverview(transaction.blockhash, next);
+    },
+    function (block, next) {
+      var index = block.txids.indexOf(transaction.txid);
+      proof.merkleRoot = block.merkleRoot;
+      proof.txProof = {
+        index: index,
+        branch: MoMProofController.getMerkleBranch(block.txids.map(toBuffer), index).map(toHex)
+      };
+      self.node.getHeightMoM(height, next);
+    },
+    function (heightMoM, next) {
+      if (!heightMoM) {
+        return next({
+          message: 'Transaction is not notarized yet',
+          code: 1
+        });
+      }
+      if (heightMoM.depth > MoMProofController.MAX_DEPTH) {
+        return next(new Error('MoM depth ' + heightMoM.depth + ' is too large'));
+      }
+      var leaves = self.leavesCache.get(heightMoM.MoM);
+      if (leaves) {
+        return next(null, heightMoM, leaves);
+      }
+      var heights = _.range(heightMoM.notarizedHeight, heightMoM.notarizedHeight - heightMoM.depth, -1);
+      async.mapSeries(heights, function (leafHeight, done) {
+        self.node.getBlockOverview(leafHeight, function (err, block) {
+          done(err, block && toBuffer(block.merkleRoot));
+        });
+      }, function (err, leaves) {
+        next(err, heightMoM, leaves);
+      });
+    },
+    function (heightMoM, leaves, next) {
+      var index = heightMoM.notarizedHeight - height;
+      var branch = MoMProofController.getMerkleBranch(leaves, index);
+      var MoM = MoMProofController.getMerkleRoot(leaves[index], branch, index);
+      if (toHex(MoM) !== heightMoM.MoM) {
+        return next(new Error('MoM of height ' + height + ' does not match the blocks'));
+      }
+      self.leavesCache.set(heightMoM.MoM, leaves);
+
+      var record = self.notarizationIndex.getNotarization(heightMoM.notarizedHeight);
+      if (!record) {
+        return next({
+          message: 'Notarization of height ' + heightMoM.notarizedHeight + ' is not indexed yet',
+          code: 1
+        });
+      }
+      if (record.MoM !== heightMoM.MoM) {
+        return next(new Error('Notarization ' + record.txid + ' does not commit to the MoM of height ' + height));
+      }
+      proof.momProof = {
+        index: index,
+        branch: branch.map(toHex),
+        notarizedHeight: heightMoM.notarizedHeight,
+        depth: heightMoM.depth,
+        MoM: heightMoM.MoM
+      };
+      self.node.getRawTransaction(record.txid, function (err, txBuffer) {
+        if (err) {
+          return next(err);
+        }
+        proof.notarization = {
+          txid: record.txid,
+          kmdTxid: heightMoM.kmdTxid,
+          rawTx: txBuffer.toString('hex')
+        };
+        next();
+      });
+    }
+  ], function (err) {
+    if (err) {
+      return self.common.handleErrors(err, res);
+    }
+    res.jsonp(proof);
+  });
+};
+
+/**
+ * Checks a proof posted as JSON. A self-consistent proof is only valid when the notarization
+ * index holds its notarization, signed by the notaries of this chain, with the same MoM. Without
+ * the index, `valid` only tells that the proof is self-consistent and `notarizationIndexed` is null.
+ */
+MoMProofController.prototype.verify = function (req, res) {
+  var result = MoMProofController.verify(req.body);
+  result.notarizationIndexed = null;
+  if (this.notarizationIndex && result.valid) {
+    var mom = req.body.momProof;
+    var record = this.notarizationIndex.getNotarizationByTxid(req.body.notarization.txid.toLowerCase());
+    result.notarizationIndexed = !!record && record.MoM === mom.MoM.toLowerCase() &&
+      record.notarizedHeight === mom.notarizedHeight;
+    if (!result.notarizationIndexed) {
+      result.valid = false;
+      result.errors.push('Notarization is not a notarization of this chain');
+    }
+  }
+  res.jsonp(result);
+};
+
+module.exports = MoMProofController;
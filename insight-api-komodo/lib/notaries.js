@@ -0,0 +1,172 @@
+'use strict';
+
+var bitcore = require('bitcore-lib-komodo');
+var _ = bitcore.deps._;
+
+/**
+ * The notary nodes of each season, read from notaries.json. The file is either a list of
+ * notaries, used for the whole chain, or an object with a list of seasons:
+ *
+ * {
+ *   "seasons": [{
+ *     "name": "Season 4",
+ *     "startHeight": 1922000,
+ *     "endHeight": 2436000,
+ *     "notaries": [{ "notaryName": "alright_AR", "pubkey": ["02..."], "url": "...", "region": "AR" }]
+ *   }]
+ * }
+ *
+ * A season covers heights from startHeight up to, but not including, endHeight. Seasons
+ * that rotate by time use startTime and endTime (unix timestamps) instead.
+ *
+ * @param {Object} options
+ * @param {Node} options.node - The bitcore node
+ * @param {Array|Object} options.notaries - The content of notaries.json
+ */
+function NotaryRegistry(options) {
+  var self = this;
+  this.node = options.node;
+
+  var seasons = _.isArray(options.notaries) ? [{
+    name: NotaryRegistry.DEFAULT_SEASON,
+    notaries: options.notaries
+  }] : options.notaries.seasons;
+
+  this.seasons = seasons.map(function (season) {
+    return self._loadSeason(season);
+  });
+}
+
+NotaryRegistry.DEFAULT_SEASON = 'default';
+
+NotaryRegistry.prototype._loadSeason = function (season) {
+  var self = this;
+  var result = {
+    name: season.name,
+    startHeight: _.isUndefined(season.startHeight) ? null : season.startHeight,
+    endHeight: _.isUndefined(season.endHeight) ? null : season.endHeight,
+    startTime: _.isUndefined(season.startTime) ? null : season.startTime,
+    endTime: _.isUndefined(season.endTime) ? null : season.endTime,
+    notaries: [],
+    pubkeys: {},
+    addresses: {}
+  };
+
+  season.notaries.forEach(function (notary) {
+    var pubkeys = _.isArray(notary.pubkey) ? notary.pubkey : [notary.pubkey];
+    var member = {
+      notaryName: notary.notaryName,
+      url: notary.url || null,
+      region: notary.region || null,
+      season: season.name,
+      pubkeys: pubkeys,
+      addresses: pubkeys.map(function (pubkey) {
+        return new bitcore.PublicKey(pubkey).toAddress(self.node.network).toString();
+      })
+    };
+    result.notaries.push(member);
+    member.pubkeys.forEach(function (pubkey, i) {
+      result.pubkeys[pubkey] = member;
+      result.addresses[member.addresses[i]] = member;
+    });
+  });
+
+  return result;
+};
+
+NotaryRegistry.prototype._inSeason = function (season, height, time) {
+  if (season.startTime !== null || season.endTime !== null) {
+    return (season.startTime === null || time >= season.startTime) &&
+      (season.endTime === null || time < season.endTime);
+  }
+  return (season.startHeight === null || height >= season.startHeight) &&
+    (season.endHeight === null || height < season.endHeight);
+};
+
+/**
+ * Returns the season of a block, the last matching one when seasons overlap
+ * @param {Number} height - The block height
+ * @param {Number} time - The block time
+ */
+NotaryRegistry.prototype.getSeason = function (height, time) {
+  for (var i = this.seasons.length - 1; i >= 0; i--) {
+    if (this._inSeason(this.seasons[i], height, time)) {
+      return this.seasons[i];
+    }
+  }
+  return null;
+};
+
+/**
+ * Returns the notary owning a public key at a block
+ * @param {String} pubkey - The public key as hex
+ * @param {Number} height - The block height
+ * @param {Number} time - The block time
+ */
+NotaryRegistry.prototype.getNotaryByPubkey = function (pubkey, height, time) {
+  var season = this.getSeason(height, time);
+  return season && season.pubkeys[pubkey] || null;
+};
+
+/**
+ * Returns the notary owning an address at a block
+ * @param {String} address - The address
+ * @param {Number} height - The block height
+ * @param {Number} time - The block time
+ */
+NotaryRegistry.prototype.getNotaryByAddress = function (address, height, time) {
+  var season = this.getSeason(height, time);
+  return season && season.addresses[address] || null;
+};
+
+/**
+ * Returns the notary owning an address at a block or, when the address is not a notary
+ * address of that season, in the most recent season that has it
+ * @param {String} address - The address
+ * @param {Number} height - The block height, optional
+ * @param {Number} time - The block time, optional
+ */
+NotaryRegistry.prototype.findNotaryByAddress = function (address, height, time) {
+  var notary = height >= 0 ? this.getNotaryByAddress(address, height, time) : null;
+  for (var i = this.seasons.length - 1; !notary && i >= 0; i--) {
+    notary = this.seasons[i].addresses[address] || null;
+  }
+  return notary;
+};
+
+/**
+ * Returns the notary fields attached to addresses by the API
+ * @param {Object} notary - A notary of a season
+ */
+NotaryRegistry.getNotaryInfo = function (notary) {
+  return _.pick(notary, 'notaryName', 'season', 'url', 'region');
+};
+
+/**
+ * Returns the public keys of the notaries of every season
+ */
+NotaryRegistry.prototype.getPubkeys = function () {
+  return _.uniq(_.flatten(this.seasons.map(function (season) {
+    return Object.keys(season.pubkeys);
+  })));
+};
+
+/**
+ * Returns the seasons with their notaries, as returned by the API
+ */
+NotaryRegistry.prototype.getSeasons = function () {
+  return this.seasons.map(function (season) {
+    return {
+      name: season.name,
+      startHeight: season.startHeight,
+      endHeight: season.endHeight,
+      startTime: season.startTime,
+      endTime: season.endTime,
+      notaries: season.notaries.map(function (notary) {
+        return _.pick(notary, 'notaryName', 'url', 'region', 'pubkeys', 'addresses');
+      })
+    };
+  });
+};
+
+module.exports = NotaryRegistry;
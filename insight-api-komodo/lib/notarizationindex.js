@@ -0,0 +1,764 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var async = require('async');
+var bitcore = require('bitcore-lib-komodo');
+var _ = bitcore.deps._;
+
+/**
+ * A persistent index of every notarization transaction on the chain. Blocks are scanned
+ * from genesis the first time the explorer starts and incrementally on each new tip. The
+ * records are appended to a file in the data directory so that a restart only has to scan
+ * the blocks mined since the last run.
+ *
+ * @param {Object} options
+ * @param {Node} options.node - The bitcore node
+ * @param {String} options.dataPath - Directory where the index files are kept
+ * @param {Number} options.minSignatures - Notary inputs required to count a transaction as notarization
+ * @param {NotaryRegistry} options.notaryRegistry - Tells the notaries of the season of a block
+ * @param {String} options.symbol - Symbol of this chain in the notarizations, defaults to the
+ * assetchain name of the bitcoind service or KMD
+ */
+function NotarizationIndex(options) {
+  EventEmitter.call(this);
+
+  this.node = options.node;
+  this.dataPath = options.dataPath;
+  this.minSignatures = options.minSignatures || NotarizationIndex.DEFAULT_MIN_SIGNATURES;
+  this.notaryRegistry = options.notaryRegistry;
+  this.symbol = options.symbol || null;
+
+  this.recordsPath = path.resolve(this.dataPath, NotarizationIndex.RECORDS_FILE);
+  this.tipPath = path.resolve(this.dataPath, NotarizationIndex.TIP_FILE);
+  this.minedPath = path.resolve(this.dataPath, NotarizationIndex.MINED_FILE);
+
+  this.notaryPubkeys = {};
+  this.notaryRegistry.getPubkeys().forEach(function (pubkey) {
+    this.notaryPubkeys[pubkey] = true;
+  }, this);
+
+  // sorted by notarized height, oldest first
+  this.notarizations = [];
+  this.txids = {};
+
+  // blocks mined by notaries, sorted by height
+  this.minedBlocks = [];
+
+  // time of the last notarization signed by each notary address and of the last
+  // block mined by each notary pubkey
+  this.lastSigned = {};
+  this.lastMined = {};
+
+  // times of the scanned blocks above the last notarized height, by height
+  this.blockTimes = {};
+
+  // last scanned block
+  this.height = -1;
+  this.hash = null;
+
+  // set when the last scanned block is scanned again, after a damaged log
+  this.rescanTip = false;
+
+  this.syncing = false;
+  this.pendingSync = false;
+  this.stopping = false;
+
+  // fork point of a chain reorganization, applied between two scanned blocks
+  this.rewindTo = null;
+}
+util.inherits(NotarizationIndex, EventEmitter);
+
+NotarizationIndex.DEFAULT_MIN_SIGNATURES = 13;
+NotarizationIndex.DEFAULT_SYMBOL = 'KMD';
+NotarizationIndex.SAVE_TIP_INTERVAL = 1000;
+NotarizationIndex.RECORDS_FILE = 'notarizations.log';
+NotarizationIndex.TIP_FILE = 'notarizations-tip.json';
+NotarizationIndex.MINED_FILE = 'notary-blocks.log';
+
+// most blocks a notarization is counted as notarizing for its latency
+NotarizationIndex.MAX_LATENCY_BLOCKS = 1440;
+
+// bumped when the index records more data or accepts other notarizations, older indexes are rebuilt
+NotarizationIndex.VERSION = 5;
+
+/**
+ * Returns the data pushed by an OP_RETURN script. Notarization payloads are larger than the
+ * standard data output size, so Script#isDataOut can not be used here.
+ * @param {Script} script
+ */
+NotarizationIndex.getOpReturnData = function (script) {
+  if (!script || script.chunks.length !== 2 || script.chunks[0].opcodenum !== bitcore.Opcode.OP_RETURN) {
+    return null;
+  }
+  return script.chunks[1].buf || null;
+};
+
+/**
+ * Decodes the OP_RETURN payload of a notarization transaction:
+ * notarized block hash (32), notarized height (4), destination txid (32), symbol (NUL terminated),
+ * followed by the optional MoM (32) and MoM depth (4).
+ * @param {Buffer} data - The data pushed by the OP_RETURN output
+ */
+NotarizationIndex.parseOpReturn = function (data) {
+  if (!data || data.length < 70) {
+    return null;
+  }
+  var symbolEnd = data.indexOf(0, 68);
+  if (symbolEnd <= 68) {
+    return null;
+  }
+  var symbol = data.slice(68, symbolEnd).toString('ascii');
+  if (!/^[\x21-\x7e]+$/.test(symbol)) {
+    return null;
+  }
+  var result = {
+    notarizedHash: bitcore.util.buffer.reverse(data.slice(0, 32)).toString('hex'),
+    notarizedHeight: data.readUInt32LE(32),
+    destTxid: bitcore.util.buffer.reverse(data.slice(36, 68)).toString('hex'),
+    symbol: symbol,
+    MoM: null,
+    MoMdepth: 0
+  };
+  var offset = symbolEnd + 1;
+  if (data.length >= offset + 36) {
+    result.MoM = bitcore.util.buffer.reverse(data.slice(offset, offset + 32)).toString('hex');
+    result.MoMdepth = data.readUInt32LE(offset + 32);
+  }
+  return result;
+};
+
+NotarizationIndex.prototype._load = function () {
+  var self = this;
+
+  if (!fs.existsSync(this.dataPath)) {
+    fs.mkdirSync(this.dataPath);
+  }
+
+  if (fs.existsSync(this.tipPath)) {
+    var tip = null;
+    try {
+      tip = JSON.parse(fs.readFileSync(this.tipPath, 'utf8'));
+    } catch (e) {
+      this.node.log.warn('Unable to read the notarization index tip:', e.message);
+    }
+    if (!tip || tip.version !== NotarizationIndex.VERSION) {
+      this.node.log.info('Notarization index is outdated and will be rebuilt');
+      fs.unlinkSync(this.tipPath);
+      this._saveRecords();
+      this._saveMinedBlocks();
+      return;
+    }
+    this.height = tip.height;
+    this.hash = tip.hash;
+  }
+
+  // a log cut short by a crash is scanned again from the block of its last complete record,
+  // which _checkTip walks back from
+  function rescanFrom(height, hash) {
+    if (height < self.height) {
+      self.height = height;
+      self.hash = hash;
+    }
+    self.rescanTip = self.height >= 0;
+  }
+
+  var records = this._readLog(this.recordsPath);
+  var last = _.last(records.records);
+  if (!records.complete) {
+    rescanFrom(last ? last.blockHeight : -1, last ? last.blockHash : null);
+  }
+  var minedBlocks = this._readLog(this.minedPath);
+  last = _.last(minedBlocks.records);
+  if (!minedBlocks.complete) {
+    rescanFrom(last ? last.height : -1, last ? last.hash : null);
+  }
+
+  // records past the saved tip are scanned again
+  var stale = !records.complete;
+  records.records.forEach(function (record) {
+    if (record.blockHeight > self.height) {
+      stale = true;
+    } else {
+      self._add(record);
+    }
+  });
+  if (stale) {
+    this._saveRecords();
+  }
+
+  stale = !minedBlocks.complete;
+  minedBlocks.records.forEach(function (record) {
+    if (record.height > self.height) {
+      stale = true;
+    } else {
+      self._addMinedBlock(record);
+    }
+  });
+  if (stale) {
+    this._saveMinedBlocks();
+  }
+
+  this.node.log.info('Notarization index loaded:', this.notarizations.length, 'notarizations and',
+    this.minedBlocks.length, 'notary blocks up to height', this.height);
+};
+
+/**
+ * Returns the records of a log file. Reading stops at a line that can not be parsed, like the
+ * last line of a crash while appending, and `complete` tells whether it did.
+ */
+NotarizationIndex.prototype._readLog = function (logPath) {
+  var result = {
+    records: [],
+    complete: true
+  };
+  if (!fs.existsSync(logPath)) {
+    return result;
+  }
+  var lines = fs.readFileSync(logPath, 'utf8').split('\n');
+  for (var i = 0; i < lines.length && result.complete; i++) {
+    if (lines[i]) {
+      try {
+        result.records.push(JSON.parse(lines[i]));
+      } catch (e) {
+        this.node.log.warn('Notarization index drops a damaged line of', logPath + ':', e.message);
+        result.complete = false;
+      }
+    }
+  }
+  return result;
+};
+
+NotarizationIndex.prototype._writeLog = function (logPath, records) {
+  var lines = records.map(function (record) {
+    return JSON.stringify(record) + '\n';
+  });
+  fs.writeFileSync(logPath, lines.join(''));
+};
+
+NotarizationIndex.prototype._saveRecords = function () {
+  this._writeLog(this.recordsPath, this.notarizations);
+};
+
+NotarizationIndex.prototype._saveMinedBlocks = function () {
+  this._writeLog(this.minedPath, this.minedBlocks);
+};
+
+NotarizationIndex.prototype._saveTip = function () {
+  fs.writeFileSync(this.tipPath, JSON.stringify({
+    version: NotarizationIndex.VERSION,
+    height: this.height,
+    hash: this.hash
+  }));
+};
+
+NotarizationIndex.prototype._add = function (record) {
+  if (this.txids[record.txid]) {
+    return false;
+  }
+  this.txids[record.txid] = record;
+  var index = _.sortedLastIndex(this.notarizations, record, 'notarizedHeight');
+  this.notarizations.splice(index, 0, record);
+
+  var lastSigned = this.lastSigned;
+  record.signers.forEach(function (address) {
+    if (!lastSigned[address] || lastSigned[address] < record.time) {
+      lastSigned[address] = record.time;
+    }
+  });
+  return true;
+};
+
+NotarizationIndex.prototype._addMinedBlock = function (record) {
+  var last = this.minedBlocks[this.minedBlocks.length - 1];
+  if (last && last.height >= record.height) {
+    return false;
+  }
+  this.minedBlocks.push(record);
+  this.lastMined[record.pubkey] = record.time;
+  return true;
+};
+
+/**
+ * Returns a record of the block if its coinbase pays to a notary public key
+ */
+NotarizationIndex.prototype._getMinedBlockRecord = function (block, height) {
+  var script = block.transactions[0].outputs[0].script;
+  if (!script.isPublicKeyOut()) {
+    return null;
+  }
+  var pubkey = script.chunks[0].buf.toString('hex');
+  if (!this.notaryPubkeys[pubkey]) {
+    return null;
+  }
+  return {
+    height: height,
+    hash: block.hash,
+    time: block.header.time,
+    pubkey: pubkey
+  };
+};
+
+/**
+ * Returns the symbol of this chain in the notarizations, the assetchain name of the bitcoind
+ * service unless configured
+ */
+NotarizationIndex.prototype._getSymbol = function () {
+  var options = this.node.services.bitcoind.options || {};
+  var config = options.spawn || _.first(options.connect) || {};
+  return this.symbol || config.ac_name || NotarizationIndex.DEFAULT_SYMBOL;
+};
+
+/**
+ * Returns a record of a transaction that looks like a notarization of this chain. Its signers
+ * are checked afterwards by _addSigners.
+ */
+NotarizationIndex.prototype._getNotarizationRecord = function (transaction, block, height) {
+  if (transaction.inputs.length < this.minSignatures) {
+    return null;
+  }
+
+  for (var i = 0; i < transaction.outputs.length; i++) {
+    var data = NotarizationIndex.getOpReturnData(transaction.outputs[i].script);
+    if (data) {
+      var opreturn = NotarizationIndex.parseOpReturn(data);
+      if (opreturn && opreturn.symbol === this._getSymbol() && opreturn.notarizedHeight < height) {
+        return _.extend({
+          txid: transaction.hash,
+          blockHash: block.hash,
+          blockHeight: height,
+          time: block.header.time
+        }, opreturn);
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Checks that the notarized block belongs to this chain and records its time. Chains that
+ * notarize other chains (like KMD) also carry notarizations of blocks that are not theirs.
+ */
+NotarizationIndex.prototype._addNotarizedBlock = function (record, callback) {
+  this.node.getBlockHeader(record.notarizedHeight, function (err, header) {
+    if (err) {
+      return callback(err);
+    }
+    if (header.hash !== record.notarizedHash) {
+      return callback(null, null);
+    }
+    record.notarizedTime = header.time;
+    callback(null, record);
+  });
+};
+
+/**
+ * Records the times of the blocks notarized for the first time by a notarization, from the
+ * block above the previous notarized height up to the notarized block.
+ */
+NotarizationIndex.prototype._addBlockTimes = function (record, callback) {
+  var self = this;
+  var last = this.notarizations[this.notarizations.length - 1];
+  var fromHeight = last ? last.notarizedHeight + 1 : 0;
+  fromHeight = Math.max(fromHeight, record.notarizedHeight - NotarizationIndex.MAX_LATENCY_BLOCKS + 1);
+
+  var heights = _.range(fromHeight, record.notarizedHeight + 1);
+  async.mapSeries(heights, function (height, next) {
+    if (self.blockTimes[height]) {
+      return next(null, self.blockTimes[height]);
+    }
+    self.node.getBlockHeader(height, function (err, header) {
+      next(err, header && header.time);
+    });
+  }, function (err, times) {
+    if (err) {
+      return callback(err);
+    }
+    heights.forEach(function (height) {
+      delete self.blockTimes[height];
+    });
+    record.blockTimes = times;
+    callback(null, record);
+  });
+};
+
+/**
+ * Records the notary addresses that signed a notarization. Only the inputs of the notaries of
+ * the season of the block count, a transaction signed by less than minSignatures of them is
+ * not a notarization.
+ */
+NotarizationIndex.prototype._addSigners = function (record, callback) {
+  var self = this;
+  this.node.getDetailedTransaction(record.txid, function (err, transaction) {
+    if (err) {
+      return callback(err);
+    }
+    var notaries = {};
+    var signers = _.uniq(_.compact(_.pluck(transaction.inputs, 'address'))).filter(function (address) {
+      var notary = self.notaryRegistry.getNotaryByAddress(address, record.blockHeight, record.time);
+      if (notary) {
+        notaries[notary.notaryName] = true;
+      }
+      return !!notary;
+    });
+    if (_.size(notaries) < self.minSignatures) {
+      return callback(null, null);
+    }
+    record.signers = signers;
+    callback(null, record);
+  });
+};
+
+/**
+ * Completes a record found in a block, or passes null when it is not a notarization of this chain
+ */
+NotarizationIndex.prototype._checkRecord = function (record, callback) {
+  var self = this;
+  var steps = [this._addNotarizedBlock, this._addSigners, this._addBlockTimes];
+  async.reduce(steps, record, function (record, step, next) {
+    if (!record) {
+      return next(null, null);
+    }
+    step.call(self, record, next);
+  }, callback);
+};
+
+NotarizationIndex.prototype._scanBlock = function (height, callback) {
+  var self = this;
+
+  this.node.getBlock(height, function (err, block) {
+    if (err) {
+      return callback(err);
+    }
+
+    self.blockTimes[height] = block.header.time;
+    delete self.blockTimes[height - NotarizationIndex.MAX_LATENCY_BLOCKS];
+
+    var mined = self._getMinedBlockRecord(block, height);
+    if (mined && self._addMinedBlock(mined)) {
+      fs.appendFileSync(self.minedPath, JSON.stringify(mined) + '\n');
+    }
+
+    var records = [];
+    for (var i = 0; i < block.transactions.length; i++) {
+      var record = self._getNotarizationRecord(block.transactions[i], block, height);
+      if (record) {
+        records.push(record);
+      }
+    }
+
+    function next(i) {
+      if (i >= records.length) {
+        self.height = height;
+        self.hash = block.hash;
+        return callback();
+      }
+      self._checkRecord(records[i], function (err, record) {
+        if (err) {
+          return callback(err);
+        }
+        if (record && self._add(record)) {
+          fs.appendFileSync(self.recordsPath, JSON.stringify(record) + '\n');
+          self.emit('notarization', record);
+        }
+        next(i + 1);
+      });
+    }
+
+    next(0);
+  });
+};
+
+/**
+ * Scans every block between the last scanned block and the current tip.
+ */
+NotarizationIndex.prototype.sync = function () {
+  var self = this;
+
+  if (this.syncing) {
+    this.pendingSync = true;
+    return;
+  }
+  this.syncing = true;
+  this.pendingSync = false;
+
+  function finish(err) {
+    if (err) {
+      self.node.log.error('Notarization index stopped at height', self.height + ':', err.message);
+    }
+    self._saveTip();
+    self.syncing = false;
+    if (self.pendingSync && !self.stopping && !err) {
+      self.sync();
+    }
+  }
+
+  function scanNext() {
+    if (self.rewindTo) {
+      self._rewind();
+    }
+    var tipHeight = self.node.services.bitcoind.height;
+    if (self.stopping || self.height >= tipHeight) {
+      return finish();
+    }
+    var height = self.height + 1;
+    self._scanBlock(height, function (err) {
+      if (err) {
+        return finish(err);
+      }
+      if (height % NotarizationIndex.SAVE_TIP_INTERVAL === 0) {
+        self._saveTip();
+        self.node.log.info('Notarization index height:', height, 'notarizations:', self.notarizations.length);
+      }
+      setImmediate(scanNext);
+    });
+  }
+
+  scanNext();
+};
+
+/**
+ * Drops the records of the blocks above the fork point of a chain reorganization, so that
+ * the blocks of the new branch are scanned.
+ */
+NotarizationIndex.prototype._reorgHandler = function (reorg) {
+  if (reorg.forkHeight >= this.height) {
+    return;
+  }
+  if (!this.rewindTo || reorg.forkHeight < this.rewindTo.height) {
+    this.rewindTo = {
+      height: reorg.forkHeight,
+      hash: reorg.forkHash
+    };
+  }
+  if (!this.syncing) {
+    this._rewind();
+  }
+};
+
+NotarizationIndex.prototype._rewind = function () {
+  var self = this;
+  var height = this.rewindTo.height;
+  var hash = this.rewindTo.hash;
+  this.rewindTo = null;
+  if (height >= this.height) {
+    return;
+  }
+
+  var notarizations = this.notarizations.filter(function (record) {
+    return record.blockHeight <= height;
+  });
+  var minedBlocks = this.minedBlocks.filter(function (record) {
+    return record.height <= height;
+  });
+  this.notarizations = [];
+  this.txids = {};
+  this.lastSigned = {};
+  this.minedBlocks = [];
+  this.lastMined = {};
+  this.blockTimes = {};
+  notarizations.forEach(function (record) {
+    self._add(record);
+  });
+  minedBlocks.forEach(function (record) {
+    self._addMinedBlock(record);
+  });
+
+  this.node.log.info('Notarization index rewound from height', this.height, 'to', height);
+  this.height = height;
+  this.hash = hash;
+  this._saveRecords();
+  this._saveMinedBlocks();
+  this._saveTip();
+};
+
+/**
+ * Checks that the last scanned block is still in the main chain, which a reorganization while
+ * the explorer was down can change. When it is not, its branch is walked back to the block
+ * the main chain has at the same height and the index is rewound to that block. After a damaged
+ * log, the walk starts below the last scanned block so that its records are scanned again.
+ * @param {Function} callback
+ */
+NotarizationIndex.prototype._checkTip = function (callback) {
+  var self = this;
+  var bitcoind = this.node.services.bitcoind;
+  var height = this.height;
+  var hash = this.hash;
+  if (height < 0) {
+    return setImmediate(callback);
+  }
+
+  function walkBack() {
+    self.node.getBlockHeader(hash, function (err, header) {
+      if (err) {
+        return callback(err);
+      }
+      height = header.height - 1;
+      hash = header.prevHash;
+      check();
+    });
+  }
+
+  function check() {
+    if (height > bitcoind.height) {
+      return walkBack();
+    }
+    self.node.getBlockHeader(height, function (err, header) {
+      if (err) {
+        return callback(err);
+      }
+      if (header.hash !== hash) {
+        return walkBack();
+      }
+      if (height < self.height) {
+        self.rewindTo = {
+          height: height,
+          hash: hash
+        };
+        self._rewind();
+      }
+      callback();
+    });
+  }
+
+  if (this.rescanTip) {
+    this.rescanTip = false;
+    return walkBack();
+  }
+  check();
+};
+
+NotarizationIndex.prototype.start = function () {
+  var self = this;
+  try {
+    this._load();
+  } catch (e) {
+    return this.node.log.error('Unable to load notarization index:', e.message);
+  }
+  this.node.services.bitcoind.on('tip', function () {
+    self.sync();
+  });
+  this.node.services.bitcoind.on('reorg', this._reorgHandler.bind(this));
+
+  // no scan until the saved tip is checked
+  this.syncing = true;
+  this._checkTip(function (err) {
+    if (err) {
+      self.node.log.error('Unable to check the notarization index tip:', err.message);
+    }
+    self.syncing = false;
+    self.sync();
+  });
+};
+
+NotarizationIndex.prototype.stop = function (callback) {
+  this.stopping = true;
+  if (this.height >= 0) {
+    this._saveTip();
+  }
+  setImmediate(callback);
+};
+
+/**
+ * Returns notarizations, most recent first
+ * @param {Number} from - Offset of the first notarization
+ * @param {Number} to - Offset after the last notarization
+ */
+NotarizationIndex.prototype.getNotarizations = function (from, to) {
+  var total = this.notarizations.length;
+  return this.notarizations.slice(Math.max(total - to, 0), Math.max(total - from, 0)).reverse();
+};
+
+/**
+ * Returns the notarizations mined since a time, oldest first
+ * @param {Number} since - Unix timestamp
+ */
+NotarizationIndex.prototype.getNotarizationsSince = function (since) {
+  return this.notarizations.filter(function (record) {
+    return record.time >= since;
+  });
+};
+
+/**
+ * Returns the blocks mined by notaries since a time, oldest first
+ * @param {Number} since - Unix timestamp
+ */
+NotarizationIndex.prototype.getMinedBlocksSince = function (since) {
+  return this.minedBlocks.filter(function (record) {
+    return record.time >= since;
+  });
+};
+
+/**
+ * Returns how long each block waited for its notarization, for the notarizations mined since
+ * a time. A notarization covers every block above the previous notarized height, so the blocks
+ * below the notarized block waited longer than it did. Notarizations of a height that was
+ * already notarized are skipped.
+ * @param {Number} since - Unix timestamp
+ */
+NotarizationIndex.prototype.getLatencies = function (since) {
+  var latencies = [];
+  var notarizedHeight = -1;
+  this.notarizations.forEach(function (record) {
+    if (record.notarizedHeight <= notarizedHeight) {
+      return;
+    }
+    notarizedHeight = record.notarizedHeight;
+    if (record.time < since) {
+      return;
+    }
+    var firstHeight = record.notarizedHeight - record.blockTimes.length + 1;
+    record.blockTimes.forEach(function (blockTime, i) {
+      latencies.push({
+        height: firstHeight + i,
+        txid: record.txid,
+        notarizedHeight: record.notarizedHeight,
+        blockHeight: record.blockHeight,
+        time: record.time,
+        blocks: record.blockHeight - firstHeight - i,
+        seconds: record.time - blockTime
+      });
+    });
+  });
+  return latencies;
+};
+
+/**
+ * Returns the most recent notarization of a block height
+ * @param {Number} height - The notarized height
+ */
+NotarizationIndex.prototype.getNotarization = function (height) {
+  var index = _.sortedLastIndex(this.notarizations, {
+    notarizedHeight: height
+  }, 'notarizedHeight');
+  var record = this.notarizations[index - 1];
+  if (record && record.notarizedHeight === height) {
+    return record;
+  }
+  return null;
+};
+
+/**
+ * Returns the notarization of a transaction, or null
+ * @param {String} txid
+ */
+NotarizationIndex.prototype.getNotarizationByTxid = function (txid) {
+  return this.txids[txid] || null;
+};
+
+/**
+ * Returns the first notarization of a block at or above a height, which is the one
+ * that notarized the block at that height
+ * @param {Number} height - The block height
+ */
+NotarizationIndex.prototype.getCoveringNotarization = function (height) {
+  var index = _.sortedIndex(this.notarizations, {
+    notarizedHeight: height
+  }, 'notarizedHeight');
+  return this.notarizations[index] || null;
+};
+
+module.exports = NotarizationIndex;
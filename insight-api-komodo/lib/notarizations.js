@@ -0,0 +1,145 @@
+'use strict';
+
+var bitcore = require('bitcore-lib-komodo');
+var _ = bitcore.deps._;
+var Common = require('./common');
+
+var NOTARIZATION_LIMIT = 200;
+var MAX_LATENCY_DAYS = 90;
+
+function NotarizationController(options) {
+  this.node = options.node;
+  this.notarizationIndex = options.notarizationIndex;
+  this.common = new Common({
+    log: this.node.log
+  });
+}
+
+NotarizationController.DEFAULT_PAGE_LENGTH = 20;
+NotarizationController.DEFAULT_LATENCY_DAYS = 7;
+
+// nearest-rank percentiles of a list of numbers
+function getPercentiles(values) {
+  if (!values.length) {
+    return null;
+  }
+  var sorted = values.slice().sort(function (a, b) {
+    return a - b;
+  });
+  function percentile(p) {
+    return sorted[Math.ceil(p / 100 * sorted.length) - 1];
+  }
+  return {
+    min: sorted[0],
+    p50: percentile(50),
+    p90: percentile(90),
+    p99: percentile(99),
+    max: sorted[sorted.length - 1]
+  };
+}
+
+function formatDate(time) {
+  return new Date(time * 1000).toISOString().substr(0, 10);
+}
+
+NotarizationController.prototype._checkIndex = function (res) {
+  if (!this.notarizationIndex) {
+    res.status(501).send('Notarization index is disabled');
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Find notarization by notarized height ...
+ */
+NotarizationController.prototype.notarization = function (req, res, next) {
+  if (!this._checkIndex(res)) {
+    return;
+  }
+  var height = parseInt(req.params.notarizedHeight);
+  if (isNaN(height) || height < 0) {
+    return this.common.handleErrors(null, res);
+  }
+  var notarization = this.notarizationIndex.getNotarization(height);
+  if (!notarization) {
+    return this.common.handleErrors(null, res);
+  }
+  req.notarization = notarization;
+  next();
+};
+
+NotarizationController.prototype.show = function (req, res) {
+  if (req.notarization) {
+    res.jsonp(req.notarization);
+  }
+};
+
+// List notarizations, most recent first
+NotarizationController.prototype.list = function (req, res) {
+  if (!this._checkIndex(res)) {
+    return;
+  }
+  var page = parseInt(req.query.pageNum) || 0;
+  var pageLength = Math.min(parseInt(req.query.limit) || NotarizationController.DEFAULT_PAGE_LENGTH, NOTARIZATION_LIMIT);
+  var totalCount = this.notarizationIndex.notarizations.length;
+  var from = page * pageLength;
+
+  res.jsonp({
+    pagesTotal: Math.ceil(totalCount / pageLength),
+    totalCount: totalCount,
+    scannedHeight: this.notarizationIndex.height,
+    notarizations: this.notarizationIndex.getNotarizations(from, from + pageLength)
+  });
+};
+
+/**
+ * Notarization latency of each block in blocks and seconds over the last `days` UTC days,
+ * overall and per day, with the latency of the notarized block of each notarization
+ */
+NotarizationController.prototype.latency = function (req, res) {
+  if (!this._checkIndex(res)) {
+    return;
+  }
+  var days = parseInt(req.query.days) || NotarizationController.DEFAULT_LATENCY_DAYS;
+  days = Math.min(Math.max(days, 1), MAX_LATENCY_DAYS);
+  var to = Math.floor(Date.now() / 1000);
+  var from = (Math.floor(to / 86400) - days + 1) * 86400;
+
+  var latencies = this.notarizationIndex.getLatencies(from);
+
+  var byDate = {};
+  latencies.forEach(function (latency) {
+    var date = formatDate(latency.time);
+    byDate[date] = byDate[date] || [];
+    byDate[date].push(latency);
+  });
+
+  var daily = Object.keys(byDate).sort().map(function (date) {
+    return {
+      date: date,
+      notarizations: _.uniq(_.pluck(byDate[date], 'txid')).length,
+      notarizedBlocks: byDate[date].length,
+      blocks: getPercentiles(_.pluck(byDate[date], 'blocks')),
+      seconds: getPercentiles(_.pluck(byDate[date], 'seconds'))
+    };
+  });
+
+  // one entry per notarization with the latency of its notarized block, the last one it covers
+  var notarizations = _.values(_.indexBy(latencies, 'txid')).map(function (latency) {
+    return _.omit(latency, 'height');
+  });
+
+  res.jsonp({
+    days: days,
+    from: from,
+    to: to,
+    scannedHeight: this.notarizationIndex.height,
+    blocks: getPercentiles(_.pluck(latencies, 'blocks')),
+    seconds: getPercentiles(_.pluck(latencies, 'seconds')),
+    daily: daily,
+    notarizations: notarizations
+  });
+};
+
+module.exports = NotarizationController;
@@ -0,0 +1,72 @@
+'use strict';
+
+var bitcore = require('bitcore-lib-komodo');
+var _ = bitcore.deps._;
+
+/**
+ * Builds the notarization status returned by the block, transaction and status APIs:
+ *
+ * {
+ *   state: 'unconfirmed', 'confirmed' or 'notarized',
+ *   notarizedHeight, notarizedHash, notarizationTxid,
+ *   dpowEnabled: false until the chain has a notarized block
+ * }
+ *
+ * For a notarized block or transaction the notarized* fields describe the notarization that
+ * covers it, otherwise the last notarization of the chain.
+ *
+ * @param {Object} options
+ * @param {Node} options.node - The bitcore node
+ * @param {NotarizationIndex} options.notarizationIndex - Optional, to find the covering notarization
+ */
+function NotarizationStatus(options) {
+  this.node = options.node;
+  this.notarizationIndex = options.notarizationIndex;
+}
+
+NotarizationStatus.STATE_UNCONFIRMED = 'unconfirmed';
+NotarizationStatus.STATE_CONFIRMED = 'confirmed';
+NotarizationStatus.STATE_NOTARIZED = 'notarized';
+
+/**
+ * Returns the notarization status of a block height
+ * @param {Number} height - The block height, -1 for a transaction in the mempool
+ * @param {Number} lastNotarizedHeight - The last notarized height as reported along with the
+ * block or transaction, defaults to the last one seen by the bitcoind service
+ */
+NotarizationStatus.prototype.get = function (height, lastNotarizedHeight) {
+  var last = this.node.services.bitcoind.lastNotarized;
+  if (_.isUndefined(lastNotarizedHeight) || lastNotarizedHeight === null) {
+    lastNotarizedHeight = last ? last.height : 0;
+  }
+
+  var dpowEnabled = lastNotarizedHeight > 0;
+  var state = NotarizationStatus.STATE_UNCONFIRMED;
+  if (height >= 0) {
+    state = dpowEnabled && height <= lastNotarizedHeight ?
+      NotarizationStatus.STATE_NOTARIZED : NotarizationStatus.STATE_CONFIRMED;
+  }
+
+  var record = state === NotarizationStatus.STATE_NOTARIZED && this.notarizationIndex ?
+    this.notarizationIndex.getCoveringNotarization(height) : null;
+  if (record) {
+    return {
+      state: state,
+      notarizedHeight: record.notarizedHeight,
+      notarizedHash: record.notarizedHash,
+      notarizationTxid: record.txid,
+      dpowEnabled: dpowEnabled
+    };
+  }
+
+  var known = last && last.height === lastNotarizedHeight;
+  return {
+    state: state,
+    notarizedHeight: dpowEnabled ? lastNotarizedHeight : null,
+    notarizedHash: known ? last.hash : null,
+    notarizationTxid: known ? last.txid : null,
+    dpowEnabled: dpowEnabled
+  };
+};
+
+module.exports = NotarizationStatus;
@@ -0,0 +1,122 @@
+'use strict';
+
+var bitcore = require('bitcore-lib-komodo');
+var _ = bitcore.deps._;
+var NotarizationIndex = require('./notarizationindex');
+
+/**
+ * Checks notarizations of an assetchain against the KMD chain: the KMD transaction named by
+ * a notarization must be confirmed on KMD and notarize the same block. Works only when the
+ * bitcoind service is configured with a "kmd" node.
+ *
+ * @param {Object} options
+ * @param {Node} options.node - The bitcore node
+ * @param {Number} options.confirmations - KMD confirmations required to trust a notarization
+ */
+function NotarizationVerifier(options) {
+  this.node = options.node;
+  this.confirmations = options.confirmations || NotarizationVerifier.DEFAULT_CONFIRMATIONS;
+
+  // verified notarizations stay verified, other results are checked again later
+  var bitcoind = this.node.services.bitcoind;
+  this.verifiedCache = bitcoind.createCache('insight.verifiedNotarizationCache', NotarizationVerifier.DEFAULT_CACHE_BYTES);
+  this.resultCache = bitcoind.createCache('insight.notarizationResultCache', NotarizationVerifier.DEFAULT_CACHE_BYTES,
+    NotarizationVerifier.RESULT_MAX_AGE);
+}
+
+NotarizationVerifier.DEFAULT_CONFIRMATIONS = 1;
+NotarizationVerifier.DEFAULT_CACHE_BYTES = 4 * 1024 * 1024;
+NotarizationVerifier.RESULT_MAX_AGE = 60000;
+
+NotarizationVerifier.prototype.isEnabled = function () {
+  return !!this.node.services.bitcoind.kmdClient;
+};
+
+/**
+ * Returns true when one of the output scripts is an OP_RETURN notarizing the block of the record
+ * @param {Array} scripts - Output scripts as hex
+ * @param {Object} record - A notarization record of the notarization index
+ */
+NotarizationVerifier.prototype._notarizesBlock = function (scripts, record) {
+  for (var i = 0; i < scripts.length; i++) {
+    var data = NotarizationIndex.getOpReturnData(new bitcore.Script(scripts[i]));
+    if (data && data.length >= 36) {
+      var hash = bitcore.util.buffer.reverse(data.slice(0, 32)).toString('hex');
+      if (hash === record.notarizedHash && data.readUInt32LE(32) === record.notarizedHeight) {
+        return true;
+      }
+    }
+  }
+  return false;
+};
+
+/**
+ * Calls back with the KMD transaction of a notarization, its confirmations and whether it
+ * notarizes the same block (`verified`), or with null when it can not be checked. Missing
+ * transactions are reported with a null txid.
+ * @param {Object} record - A notarization record of the notarization index
+ * @param {Function} callback
+ */
+NotarizationVerifier.prototype.getKmdNotarization = function (record, callback) {
+  var self = this;
+
+  if (!record || !this.isEnabled()) {
+    return setImmediate(function () {
+      callback(null, null);
+    });
+  }
+
+  this.node.services.bitcoind.getKmdTransaction(record.destTxid, function (err, transaction) {
+    if (err && err.code === -5) {
+      return callback(null, {
+        txid: null,
+        blockHash: null,
+        height: null,
+        confirmations: 0,
+        verified: false
+      });
+    } else if (err) {
+      self.node.log.warn('Unable to check notarization', record.txid, 'on KMD:', err.message);
+      return callback(null, null);
+    }
+    callback(null, {
+      txid: transaction.txid,
+      blockHash: transaction.blockHash || null,
+      height: transaction.height || null,
+      confirmations: transaction.confirmations,
+      verified: transaction.confirmations >= self.confirmations &&
+        self._notarizesBlock(transaction.scripts, record)
+    });
+  });
+};
+
+/**
+ * Calls back with true when the notarization is confirmed on KMD, false when it is missing,
+ * unconfirmed or notarizes another block, and null when it can not be checked.
+ * @param {Object} record - A notarization record of the notarization index
+ * @param {Function} callback
+ */
+NotarizationVerifier.prototype.verify = function (record, callback) {
+  var self = this;
+
+  var cached = record && (this.verifiedCache.get(record.txid) || this.resultCache.get(record.txid));
+  if (!_.isUndefined(cached)) {
+    return setImmediate(function () {
+      callback(null, cached);
+    });
+  }
+
+  this.getKmdNotarization(record, function (err, kmdNotarization) {
+    if (!kmdNotarization) {
+      return callback(null, null);
+    }
+    if (kmdNotarization.verified) {
+      self.verifiedCache.set(record.txid, true);
+    } else {
+      self.resultCache.set(record.txid, false);
+    }
+    callback(null, kmdNotarization.verified);
+  });
+};
+
+module.exports = NotarizationVerifier;
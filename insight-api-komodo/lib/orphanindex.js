@@ -0,0 +1,184 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var async = require('async');
+var bitcore = require('bitcore-lib-komodo');
+var _ = bitcore.deps._;
+
+/**
+ * Records the blocks orphaned by the chain reorganizations the bitcoind service reports.
+ * Records are appended to a file in the data directory and kept across restarts. A block that
+ * a later reorganization puts back in the main chain is removed.
+ *
+ * @param {Object} options
+ * @param {Node} options.node - The bitcore node
+ * @param {String} options.dataPath - Directory where the records are kept
+ */
+function OrphanIndex(options) {
+  EventEmitter.call(this);
+
+  this.node = options.node;
+  this.dataPath = options.dataPath;
+  this.recordsPath = path.resolve(this.dataPath, OrphanIndex.RECORDS_FILE);
+
+  // sorted by time of the reorganization, oldest first
+  this.orphans = [];
+  this.hashes = {};
+}
+util.inherits(OrphanIndex, EventEmitter);
+
+OrphanIndex.RECORDS_FILE = 'orphans.log';
+
+// depth below the tip where orphaned blocks are checked on start, as deep as the bitcoind
+// service looks for a fork point
+OrphanIndex.MAX_REORG_DEPTH = 200;
+
+OrphanIndex.prototype._load = function () {
+  var self = this;
+
+  if (!fs.existsSync(this.dataPath)) {
+    fs.mkdirSync(this.dataPath);
+  }
+  if (!fs.existsSync(this.recordsPath)) {
+    return;
+  }
+
+  // a line cut short by a crash while appending is dropped
+  var damaged = false;
+  fs.readFileSync(this.recordsPath, 'utf8').split('\n').forEach(function (line) {
+    if (!line) {
+      return;
+    }
+    try {
+      self._add(JSON.parse(line));
+    } catch (e) {
+      self.node.log.warn('Orphan index drops a damaged line:', e.message);
+      damaged = true;
+    }
+  });
+  if (damaged) {
+    this._save();
+  }
+};
+
+OrphanIndex.prototype._save = function () {
+  var lines = this.orphans.map(function (record) {
+    return JSON.stringify(record) + '\n';
+  });
+  fs.writeFileSync(this.recordsPath, lines.join(''));
+};
+
+OrphanIndex.prototype._add = function (record) {
+  if (this.hashes[record.hash]) {
+    return false;
+  }
+  this.hashes[record.hash] = record;
+  this.orphans.push(record);
+  return true;
+};
+
+/**
+ * Records the orphaned blocks of a 'reorg' event of the bitcoind service
+ */
+OrphanIndex.prototype._reorgHandler = function (reorg) {
+  var self = this;
+  var orphanedAt = Math.floor(Date.now() / 1000);
+
+  // oldest orphaned block first, as they were mined
+  reorg.orphaned.slice().reverse().forEach(function (orphan) {
+    var record = {
+      hash: orphan.hash,
+      height: orphan.height,
+      time: orphan.time,
+      orphanedAt: orphanedAt,
+      forkHash: reorg.forkHash,
+      forkHeight: reorg.forkHeight,
+      tipHash: reorg.hash,
+      tipHeight: reorg.height
+    };
+    if (self._add(record)) {
+      fs.appendFileSync(self.recordsPath, JSON.stringify(record) + '\n');
+    }
+  });
+
+  this.emit('reorg', reorg);
+
+  // blocks of an earlier reorganization can be on the new branch
+  var orphaned = _.indexBy(reorg.orphaned, 'hash');
+  this._checkMainChain(this.orphans.filter(function (record) {
+    return !orphaned[record.hash] && record.height > reorg.forkHeight && record.height <= reorg.height;
+  }));
+};
+
+/**
+ * Removes the records of the blocks that are back in the main chain
+ * @param {Array} records
+ */
+OrphanIndex.prototype._checkMainChain = function (records) {
+  var self = this;
+  var restored = {};
+  async.eachSeries(records, function (record, next) {
+    self.node.getBlockHeader(record.height, function (err, header) {
+      if (err) {
+        return next(err);
+      }
+      if (header.hash === record.hash) {
+        restored[record.hash] = true;
+      }
+      next();
+    });
+  }, function (err) {
+    if (err) {
+      self.node.log.error('Unable to check orphaned blocks:', err.message);
+    }
+    if (_.isEmpty(restored)) {
+      return;
+    }
+    self.orphans = self.orphans.filter(function (record) {
+      return !restored[record.hash];
+    });
+    _.keys(restored).forEach(function (hash) {
+      delete self.hashes[hash];
+    });
+    self.node.log.info('Blocks back in the main chain:', _.keys(restored).join(', '));
+    self._save();
+  });
+};
+
+OrphanIndex.prototype.start = function () {
+  try {
+    this._load();
+  } catch (e) {
+    return this.node.log.error('Unable to load orphan index:', e.message);
+  }
+  this.node.services.bitcoind.on('reorg', this._reorgHandler.bind(this));
+
+  // a reorganization while the explorer was down can put orphaned blocks back
+  var height = this.node.services.bitcoind.height;
+  this._checkMainChain(this.orphans.filter(function (record) {
+    return record.height <= height && record.height > height - OrphanIndex.MAX_REORG_DEPTH;
+  }));
+};
+
+/**
+ * Returns orphaned blocks, most recent first
+ * @param {Number} from - Offset of the first block
+ * @param {Number} to - Offset after the last block
+ */
+OrphanIndex.prototype.getOrphans = function (from, to) {
+  var total = this.orphans.length;
+  return this.orphans.slice(Math.max(total - to, 0), Math.max(total - from, 0)).reverse();
+};
+
+/**
+ * Returns the record of an orphaned block, or undefined
+ * @param {String} hash
+ */
+OrphanIndex.prototype.getOrphan = function (hash) {
+  return this.hashes[hash];
+};
+
+module.exports = OrphanIndex;
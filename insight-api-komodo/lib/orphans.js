@@ -0,0 +1,38 @@
+'use strict';
+
+var Common = require('./common');
+
+var ORPHAN_LIMIT = 200;
+
+function OrphanController(options) {
+  this.node = options.node;
+  this.orphanIndex = options.orphanIndex;
+
+  this.common = new Common({
+    log: this.node.log
+  });
+}
+
+OrphanController.DEFAULT_PAGE_LENGTH = 20;
+
+// List orphaned blocks, most recent first
+OrphanController.prototype.list = function (req, res) {
+  var page = parseInt(req.query.pageNum) || 0;
+  var pageLength = Math.min(parseInt(req.query.limit) || OrphanController.DEFAULT_PAGE_LENGTH, ORPHAN_LIMIT);
+  if (page < 0 || pageLength < 0) {
+    return this.common.handleErrors({
+      message: 'pageNum and limit must not be negative',
+      code: 1
+    }, res);
+  }
+  var totalCount = this.orphanIndex.orphans.length;
+  var from = page * pageLength;
+
+  res.jsonp({
+    pagesTotal: Math.ceil(totalCount / pageLength),
+    totalCount: totalCount,
+    orphans: this.orphanIndex.getOrphans(from, from + pageLength)
+  });
+};
+
+module.exports = OrphanController;
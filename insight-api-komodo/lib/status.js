@@ -1,9 +1,14 @@
 'use strict';
 
 var Common = require('./common');
+var NotarizationStatus = require('./notarizationstatus');
 
-function StatusController(node) {
+function StatusController(node, options) {
+  options = options || {};
   this.node = node;
+  this.notarizationStatus = options.notarizationStatus || new NotarizationStatus({
+    node: node
+  });
   this.common = new Common({
     log: this.node.log
   });
@@ -47,6 +52,7 @@ StatusController.prototype.show = function (req, res) {
 };
 
 StatusController.prototype.getInfo = function (callback) {
+  var self = this;
   this.node.services.bitcoind.getInfo(function (err, result) {
     if (err) {
       return callback(err);
@@ -64,7 +70,10 @@ StatusController.prototype.getInfo = function (callback) {
       errors: result.errors,
       notarized: result.notarized,
       network: result.network,
-      lastNotarizedBlockhash: result.lastNotarizedBlockhash
+      lastNotarizedBlockhash: result.lastNotarizedBlockhash,
+      lastNotarizedTxid: result.lastNotarizedTxid,
+      notarization: self.notarizationStatus.get(result.notarized || 0, result.notarized || 0),
+      notificationMode: self.node.services.bitcoind.getNotificationMode()
     };
     callback(null, info);
   });
@@ -143,6 +152,30 @@ StatusController.prototype.peer = function (req, res) {
   });
 };
 
+// Size and hit, miss and eviction counters of the in-memory caches
+StatusController.prototype.cacheStats = function (req, res) {
+  var self = this;
+
+  this.node.services.bitcoind.getCacheStats(function (err, caches) {
+    if (err) {
+      return self.common.handleErrors(err, res);
+    }
+
+    var bytes = 0;
+    var maxBytes = 0;
+    Object.keys(caches).forEach(function (name) {
+      bytes += caches[name].bytes;
+      maxBytes += caches[name].maxBytes;
+    });
+
+    res.jsonp({
+      bytes: bytes,
+      maxBytes: maxBytes,
+      caches: caches
+    });
+  });
+};
+
 StatusController.prototype.version = function (req, res) {
   var pjson = require('../package.json');
   res.jsonp({
@@ -4,12 +4,22 @@ var bitcore = require("bitcore-lib-komodo");
 var _ = bitcore.deps._;
 var $ = bitcore.util.preconditions;
 var Common = require("./common");
+var NotaryRegistry = require("./notaries");
+var NotarizationStatus = require("./notarizationstatus");
 var async = require("async");
 
 var MAXINT = 0xffffffff; // Math.pow(2, 32) - 1;
 
-function TxController(node) {
+function TxController(node, options) {
+  options = options || {};
   this.node = node;
+  this.notarizationIndex = options.notarizationIndex;
+  this.notarizationVerifier = options.notarizationVerifier;
+  this.notaryRegistry = options.notaryRegistry;
+  this.notarizationStatus = options.notarizationStatus || new NotarizationStatus({
+    node: node,
+    notarizationIndex: this.notarizationIndex
+  });
   this.common = new Common({
     log: this.node.log
   });
@@ -42,8 +52,126 @@ TxController.prototype.transaction = function (req, res, next) {
       if (err) {
         return self.common.handleErrors(err, res);
       }
-      req.transaction = transformedTransaction;
-      next();
+      self._addNotarizationVerified(transformedTransaction, function () {
+        req.transaction = transformedTransaction;
+        next();
+      });
+    });
+  });
+};
+
+/**
+ * Sets whether the notarization of a transaction's block was verified on KMD
+ */
+TxController.prototype._addNotarizationVerified = function (transformed, callback) {
+  transformed.notarizationVerified = null;
+  if (!transformed.notarized || !this.notarizationIndex || !this.notarizationVerifier) {
+    return callback();
+  }
+  var record = this.notarizationIndex.getCoveringNotarization(transformed.blockheight);
+  this.notarizationVerifier.verify(record, function (err, verified) {
+    transformed.notarizationVerified = verified;
+    callback();
+  });
+};
+
+TxController.FINALITY_MEMPOOL = 'mempool';
+TxController.FINALITY_CONFIRMED = 'confirmed';
+TxController.FINALITY_NOTARIZED = 'notarized';
+TxController.FINALITY_BTC_NOTARIZED = 'btcNotarized';
+
+/**
+ * Finality of a transaction: the last stage it reached, with the heights and txids proving
+ * each stage. Stages are mempool, confirmed, notarized on KMD and, when a KMD node is
+ * configured, notarized on BTC through the KMD block holding the notarization. A
+ * notarization that the KMD node does not confirm, or that can not be checked on it, leaves
+ * the transaction confirmed. `final` is true once the transaction is notarized.
+ */
+TxController.prototype.finality = function (req, res) {
+  var self = this;
+  var transaction = req.transaction;
+  if (!transaction) {
+    return;
+  }
+
+  var finality = {
+    txid: transaction.txid,
+    state: TxController.FINALITY_MEMPOOL,
+    final: false,
+    confirmed: null,
+    notarized: null,
+    btcNotarized: null
+  };
+
+  function send() {
+    finality.final = finality.state === TxController.FINALITY_NOTARIZED ||
+      finality.state === TxController.FINALITY_BTC_NOTARIZED;
+    res.jsonp(finality);
+  }
+
+  if (!transaction.blockhash || transaction.blockheight < 0) {
+    return send();
+  }
+
+  finality.state = TxController.FINALITY_CONFIRMED;
+  finality.confirmed = {
+    blockHash: transaction.blockhash,
+    height: transaction.blockheight,
+    confirmations: Math.max(this.node.services.bitcoind.height - transaction.blockheight + 1, 0)
+  };
+
+  if (!transaction.notarized) {
+    return send();
+  }
+
+  var record = this.notarizationIndex ?
+    this.notarizationIndex.getCoveringNotarization(transaction.blockheight) : null;
+  finality.notarized = {
+    txid: record ? record.txid : null,
+    height: record ? record.blockHeight : null,
+    notarizedHeight: record ? record.notarizedHeight : transaction.lastNotarizedHeight,
+    notarizedHash: record ? record.notarizedHash : null,
+    kmdTxid: record ? record.destTxid : null,
+    kmdHeight: null,
+    kmdConfirmations: null,
+    verified: null,
+    error: null
+  };
+
+  if (!this.notarizationVerifier || !this.notarizationVerifier.isEnabled()) {
+    finality.state = TxController.FINALITY_NOTARIZED;
+    return send();
+  }
+
+  this.notarizationVerifier.getKmdNotarization(record, function (err, kmdNotarization) {
+    if (!kmdNotarization) {
+      finality.notarized.error = record ? 'Unable to check the notarization on KMD' :
+        'Notarization is not indexed yet';
+      return send();
+    }
+
+    finality.notarized.kmdHeight = kmdNotarization.height;
+    finality.notarized.kmdConfirmations = kmdNotarization.confirmations;
+    finality.notarized.verified = kmdNotarization.verified;
+    if (!kmdNotarization.verified) {
+      return send();
+    }
+    finality.state = TxController.FINALITY_NOTARIZED;
+
+    self.node.services.bitcoind.getKmdInfo(function (err, kmdInfo) {
+      if (err) {
+        self.node.log.warn('Unable to get the BTC notarization of KMD:', err.message);
+        return send();
+      }
+      if (kmdInfo.notarized >= kmdNotarization.height) {
+        finality.state = TxController.FINALITY_BTC_NOTARIZED;
+        finality.btcNotarized = {
+          kmdNotarizedHeight: kmdInfo.notarized,
+          kmdNotarizedHash: kmdInfo.lastNotarizedBlockhash,
+          btcTxid: kmdInfo.lastNotarizedTxid
+        };
+      }
+      send();
     });
   });
 };
@@ -64,26 +192,27 @@ TxController.prototype.transformTransaction = function (
       confirmations = this.node.services.bitcoind.height - transaction.height + 1;
     }
   */
-  var notarized = false;
-
-  if ((transaction.confirmations >= 1) && (transaction.lastNotarizedHeight >= transaction.height)) {
-    notarized = true;
-  }
-
-  if (transaction.lastNotarizedHeight == 0) {
-    notarized = false;
-  }
+  var notarizationStatus = this.notarizationStatus.get(transaction.height, transaction.lastNotarizedHeight || 0);
 
   var transformed = {
     txid: transaction.hash,
     version: transaction.version,
     locktime: transaction.locktime,
     confirmations: transaction.rawconfirmations,
-    notarized: notarized,
+    notarized: notarizationStatus.state === NotarizationStatus.STATE_NOTARIZED,
+    notarizationStatus: notarizationStatus,
     height: transaction.height,
     lastNotarizedHeight: transaction.lastNotarizedHeight
   };
 
+  // the block of the transaction resolves the season of notary addresses, the next block
+  // for an unconfirmed transaction
+  var confirmed = transaction.height >= 0;
+  var itemOptions = _.extend({
+    height: confirmed ? transaction.height : this.node.services.bitcoind.height + 1,
+    time: confirmed ? transaction.blockTimestamp : Math.floor(Date.now() / 1000)
+  }, options);
+
   if (transaction.coinbase) {
     transformed.vin = [{
       coinbase: transaction.inputs[0].script,
@@ -92,12 +221,12 @@ TxController.prototype.transformTransaction = function (
     }];
   } else {
     transformed.vin = transaction.inputs.map(
-      this.transformInput.bind(this, options)
+      this.transformInput.bind(this, itemOptions)
     );
   }
 
   transformed.vout = transaction.outputs.map(
-    this.transformOutput.bind(this, options)
+    this.transformOutput.bind(this, itemOptions)
   );
 
   if (transformed.version >= 2) {
@@ -170,6 +299,7 @@ TxController.prototype.transformInput = function (options, input, index) {
   }
 
   transformed.addr = input.address;
+  this._addNotaryLabel(transformed, input.address, options);
   transformed.valueSat = input.satoshis;
   transformed.value = input.satoshis / 1e8;
   transformed.doubleSpentTxID = null; // TODO
@@ -205,10 +335,24 @@ TxController.prototype.transformOutput = function (options, output, index) {
     transformed.scriptPubKey.addresses = [output.address];
     var address = bitcore.Address(output.address); //TODO return type from bitcore-node
     transformed.scriptPubKey.type = address.type;
+    this._addNotaryLabel(transformed, output.address, options);
   }
   return transformed;
 };
 
+/**
+ * Labels an input or output paying from or to an address of a notary of the season of the
+ * transaction
+ */
+TxController.prototype._addNotaryLabel = function (transformed, address, options) {
+  var notary = address && this.notaryRegistry &&
+    this.notaryRegistry.getNotaryByAddress(address, options.height, options.time);
+  if (notary) {
+    transformed.label = notary.notaryName;
+    transformed.notary = NotaryRegistry.getNotaryInfo(notary);
+  }
+};
+
 TxController.prototype.transformJoinSplit = function (options, jsdesc, index) {
   var transformed = {
     vpub_old: (jsdesc.oldZatoshis / 1e8).toFixed(8),
@@ -305,27 +449,26 @@ TxController.prototype.list = function (req, res) {
         txids = block.txids;
       }
 
-      async.mapSeries(
-        txids,
-        function (txid, next) {
-          self.node.getDetailedTransaction(txid, function (err, transaction) {
+      self.node.getDetailedTransactions(txids, function (err, transactions) {
+        if (err) {
+          return self.common.handleErrors(err, res);
+        }
+
+        async.mapSeries(
+          transactions,
+          self.transformTransaction.bind(self),
+          function (err, transformed) {
             if (err) {
-              return next(err);
+              return self.common.handleErrors(err, res);
             }
-            self.transformTransaction(transaction, next);
-          });
-        },
-        function (err, transformed) {
-          if (err) {
-            return self.common.handleErrors(err, res);
-          }
 
-          res.jsonp({
-            pagesTotal: pagesTotal,
-            txs: transformed
-          });
-        }
-      );
+            res.jsonp({
+              pagesTotal: pagesTotal,
+              txs: transformed
+            });
+          }
+        );
+      });
     });
   } else if (address) {
     var options = {
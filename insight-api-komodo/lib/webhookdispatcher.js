@@ -0,0 +1,531 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var crypto = require('crypto');
+var dns = require('dns');
+var net = require('net');
+var url = require('url');
+var request = require('request');
+var bitcore = require('bitcore-lib-komodo');
+var _ = bitcore.deps._;
+
+/**
+ * Delivers blockchain events to HTTP callbacks registered by clients. The events come from the
+ * ZMQ handlers of the bitcoind service: new transactions for address webhooks, new blocks for
+ * block and confirmation webhooks, and notarized height updates for notarization webhooks.
+ *
+ * Each payload is signed with the secret of its webhook: the `X-Webhook-Signature` header is
+ * `sha256=` followed by the HMAC-SHA256 of the body. Failed deliveries are retried with an
+ * exponential backoff. Webhooks are saved in the data directory, and so are the deliveries
+ * that succeeded or ran out of attempts; deliveries still being retried are lost on restart.
+ *
+ * Anyone reaching the API can register webhooks, so their number is capped per client and in
+ * total, one-time webhooks expire, and callbacks are never sent to loopback or private network
+ * addresses.
+ *
+ * @param {Object} options
+ * @param {Node} options.node - The bitcore node
+ * @param {String} options.dataPath - Directory where webhooks and deliveries are kept
+ * @param {Number} options.maxAttempts - Attempts before a delivery is given up
+ * @param {Number} options.retryDelay - Delay before the first retry in milliseconds, doubled for each retry
+ * @param {Number} options.maxPerClient - Webhooks a client can register
+ * @param {Number} options.maxTotal - Webhooks registered by all clients
+ * @param {Number} options.maxAge - Milliseconds after which one-time webhooks are removed
+ */
+function WebhookDispatcher(options) {
+  this.node = options.node;
+  this.dataPath = options.dataPath;
+  this.maxAttempts = options.maxAttempts || WebhookDispatcher.DEFAULT_MAX_ATTEMPTS;
+  this.retryDelay = options.retryDelay || WebhookDispatcher.DEFAULT_RETRY_DELAY;
+  this.maxPerClient = options.maxPerClient || WebhookDispatcher.DEFAULT_MAX_PER_CLIENT;
+  this.maxTotal = options.maxTotal || WebhookDispatcher.DEFAULT_MAX_TOTAL;
+  this.maxAge = options.maxAge || WebhookDispatcher.DEFAULT_MAX_AGE;
+
+  this.webhooksPath = path.resolve(this.dataPath, WebhookDispatcher.WEBHOOKS_FILE);
+  this.deliveriesPath = path.resolve(this.dataPath, WebhookDispatcher.DELIVERIES_FILE);
+
+  this.webhooks = {};
+
+  // finished deliveries, oldest first
+  this.deliveries = [];
+  this.retryTimers = {};
+  this.stopping = false;
+}
+
+WebhookDispatcher.TYPES = ['address', 'confirmations', 'notarized', 'block'];
+WebhookDispatcher.DEFAULT_MAX_ATTEMPTS = 8;
+WebhookDispatcher.DEFAULT_RETRY_DELAY = 5000;
+WebhookDispatcher.DEFAULT_MAX_PER_CLIENT = 10;
+WebhookDispatcher.DEFAULT_MAX_TOTAL = 1000;
+WebhookDispatcher.DEFAULT_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+WebhookDispatcher.MAX_CONFIRMATIONS = 1000;
+WebhookDispatcher.REQUEST_TIMEOUT = 10000;
+WebhookDispatcher.MAX_DELIVERIES = 1000;
+WebhookDispatcher.WEBHOOKS_FILE = 'webhooks.json';
+WebhookDispatcher.DELIVERIES_FILE = 'webhook-deliveries.log';
+
+// loopback, private, link-local, shared and reserved IPv4 ranges as [first octets, prefix length]
+WebhookDispatcher.PRIVATE_IPV4_RANGES = [
+  [[0], 8], [[10], 8], [[100, 64], 10], [[127], 8], [[169, 254], 16],
+  [[172, 16], 12], [[192, 168], 16], [[198, 18], 15], [[224], 4]
+];
+
+/**
+ * Returns true when an IP address is not publicly routable
+ * @param {String} address - IPv4 or IPv6 address
+ */
+WebhookDispatcher.isPrivateAddress = function (address) {
+  address = address.toLowerCase();
+  var mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) {
+    address = mapped[1];
+  }
+  if (net.isIPv4(address)) {
+    var value = address.split('.').reduce(function (value, octet) {
+      return value * 256 + parseInt(octet);
+    }, 0);
+    return WebhookDispatcher.PRIVATE_IPV4_RANGES.some(function (range) {
+      var first = range[0].concat([0, 0, 0]).slice(0, 4).reduce(function (value, octet) {
+        return value * 256 + octet;
+      }, 0);
+      var size = Math.pow(2, 32 - range[1]);
+      return value >= first && value < first + size;
+    });
+  }
+  // unspecified, loopback, unique local (fc00::/7) and link-local (fe80::/10)
+  return address === '::' || address === '::1' || /^f[cd]/.test(address) || /^fe[89ab]/.test(address);
+};
+
+/**
+ * Resolves host names like dns.lookup, failing for private addresses. Passed to the requests
+ * of the deliveries so that a name resolving to the local network is refused when connecting.
+ */
+WebhookDispatcher.lookupPublic = function (hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  dns.lookup(hostname, options, function (err, address, family) {
+    if (err) {
+      return callback(err);
+    }
+    var addresses = Array.isArray(address) ? _.pluck(address, 'address') : [address];
+    if (_.some(addresses, WebhookDispatcher.isPrivateAddress)) {
+      return callback(new Error('Refusing to deliver to private address of ' + hostname));
+    }
+    callback(null, address, family);
+  });
+};
+
+WebhookDispatcher.prototype._load = function () {
+  var self = this;
+
+  if (!fs.existsSync(this.dataPath)) {
+    fs.mkdirSync(this.dataPath);
+  }
+
+  if (fs.existsSync(this.webhooksPath)) {
+    JSON.parse(fs.readFileSync(this.webhooksPath, 'utf8')).forEach(function (webhook) {
+      self.webhooks[webhook.id] = webhook;
+    });
+  }
+
+  if (fs.existsSync(this.deliveriesPath)) {
+    var lines = fs.readFileSync(this.deliveriesPath, 'utf8').split('\n');
+    this.deliveries = _.compact(lines).map(function (line) {
+      return JSON.parse(line);
+    });
+    if (this.deliveries.length > WebhookDispatcher.MAX_DELIVERIES) {
+      this.deliveries = this.deliveries.slice(-WebhookDispatcher.MAX_DELIVERIES);
+      this._saveDeliveries();
+    }
+  }
+
+  this._expire();
+  this.node.log.info('Webhooks loaded:', _.size(this.webhooks), 'webhooks');
+};
+
+WebhookDispatcher.prototype._saveWebhooks = function () {
+  fs.writeFileSync(this.webhooksPath, JSON.stringify(_.values(this.webhooks)));
+};
+
+WebhookDispatcher.prototype._saveDeliveries = function () {
+  var lines = this.deliveries.map(function (delivery) {
+    return JSON.stringify(delivery) + '\n';
+  });
+  fs.writeFileSync(this.deliveriesPath, lines.join(''));
+};
+
+/**
+ * Returns an error message when the webhook options are invalid
+ * @param {Object} options - The url, type and the address, txid or confirmations of the type
+ */
+WebhookDispatcher.prototype._checkOptions = function (options) {
+  if (!options.url || !/^https?:\/\/[^\s]+$/.test(options.url)) {
+    return 'Must include an http or https url';
+  }
+  var hostname = url.parse(options.url).hostname || '';
+  if (hostname === 'localhost' || /\.localhost$/.test(hostname) ||
+    (net.isIP(hostname) && WebhookDispatcher.isPrivateAddress(hostname))) {
+    return 'Url must not point to a private address';
+  }
+  if (WebhookDispatcher.TYPES.indexOf(options.type) === -1) {
+    return 'Type must be one of ' + WebhookDispatcher.TYPES.join(', ');
+  }
+  if (options.type === 'address') {
+    try {
+      bitcore.Address(options.address, this.node.network);
+    } catch (e) {
+      return 'Invalid address: ' + e.message;
+    }
+  }
+  if ((options.type === 'confirmations' || options.type === 'notarized') &&
+    !/^[0-9a-f]{64}$/.test(options.txid)) {
+    return 'Must include a txid';
+  }
+  if (options.type === 'confirmations' &&
+    !(options.confirmations >= 1 && options.confirmations <= WebhookDispatcher.MAX_CONFIRMATIONS)) {
+    return 'Confirmations must be between 1 and ' + WebhookDispatcher.MAX_CONFIRMATIONS;
+  }
+  return null;
+};
+
+/**
+ * Returns an error message when the client or all clients registered as many webhooks as allowed
+ * @param {String} client - The address of the client
+ */
+WebhookDispatcher.prototype._checkLimits = function (client) {
+  if (_.size(this.webhooks) >= this.maxTotal) {
+    return 'Too many webhooks, try again later';
+  }
+  var count = _.filter(this.webhooks, function (webhook) {
+    return webhook.client === client;
+  }).length;
+  if (count >= this.maxPerClient) {
+    return 'Each client can register up to ' + this.maxPerClient + ' webhooks';
+  }
+  return null;
+};
+
+/**
+ * Registers a webhook and returns it with its secret, or throws when the options are invalid
+ * or the limits are reached. Confirmation and notarization webhooks are delivered once, the
+ * others on every event.
+ * @param {Object} options
+ * @param {String} options.url - The callback url
+ * @param {String} options.type - address, confirmations, notarized or block
+ * @param {String} options.address - The address of an address webhook
+ * @param {String} options.txid - The transaction of a confirmations or notarized webhook
+ * @param {Number} options.confirmations - The confirmations of a confirmations webhook
+ * @param {String} options.client - The address of the client registering it
+ */
+WebhookDispatcher.prototype.add = function (options) {
+  var message = this._checkOptions(options) || this._checkLimits(options.client);
+  if (message) {
+    var error = new Error(message);
+    error.code = 1;
+    throw error;
+  }
+
+  var webhook = {
+    id: crypto.randomBytes(16).toString('hex'),
+    secret: crypto.randomBytes(32).toString('hex'),
+    url: options.url,
+    type: options.type,
+    address: options.type === 'address' ? options.address : null,
+    txid: options.type === 'confirmations' || options.type === 'notarized' ? options.txid : null,
+    confirmations: options.type === 'confirmations' ? options.confirmations : null,
+    client: options.client,
+    created: Math.floor(Date.now() / 1000),
+    fired: null
+  };
+  this.webhooks[webhook.id] = webhook;
+  this._saveWebhooks();
+  return webhook;
+};
+
+WebhookDispatcher.prototype.get = function (id) {
+  return this.webhooks[id] || null;
+};
+
+WebhookDispatcher.prototype.remove = function (id) {
+  if (!this.webhooks[id]) {
+    return false;
+  }
+  delete this.webhooks[id];
+  this._saveWebhooks();
+  return true;
+};
+
+/**
+ * Returns the deliveries of a webhook, most recent first
+ * @param {String} id - The webhook id
+ */
+WebhookDispatcher.prototype.getDeliveries = function (id) {
+  var pending = _.filter(_.values(this.retryTimers), function (retry) {
+    return retry.delivery.webhookId === id;
+  });
+  var finished = _.filter(this.deliveries, function (delivery) {
+    return delivery.webhookId === id;
+  });
+  return _.pluck(pending, 'delivery').concat(finished.reverse());
+};
+
+WebhookDispatcher.isOneTime = function (webhook) {
+  return webhook.type === 'confirmations' || webhook.type === 'notarized';
+};
+
+/**
+ * Removes the one-time webhooks registered more than maxAge ago, whether they fired or not,
+ * so that transactions that never confirm are not checked forever
+ */
+WebhookDispatcher.prototype._expire = function () {
+  var self = this;
+  var created = Math.floor((Date.now() - this.maxAge) / 1000);
+  var expired = _.filter(this.webhooks, function (webhook) {
+    return WebhookDispatcher.isOneTime(webhook) && webhook.created < created;
+  });
+  if (!expired.length) {
+    return;
+  }
+  expired.forEach(function (webhook) {
+    delete self.webhooks[webhook.id];
+  });
+  this._saveWebhooks();
+};
+
+WebhookDispatcher.prototype._getPending = function (type) {
+  return _.filter(this.webhooks, function (webhook) {
+    return webhook.type === type && !webhook.fired;
+  });
+};
+
+/**
+ * Queues the delivery of an event to a webhook. Webhooks delivered once are marked as fired.
+ * @param {Object} webhook
+ * @param {Object} data - The event data
+ */
+WebhookDispatcher.prototype._dispatch = function (webhook, data) {
+  // removed or already fired while the event was checked
+  if (!this.webhooks[webhook.id] || webhook.fired) {
+    return;
+  }
+  if (WebhookDispatcher.isOneTime(webhook)) {
+    webhook.fired = Math.floor(Date.now() / 1000);
+    this._saveWebhooks();
+  }
+
+  var delivery = {
+    id: crypto.randomBytes(16).toString('hex'),
+    webhookId: webhook.id,
+    url: webhook.url,
+    body: JSON.stringify(_.extend({
+      webhookId: webhook.id,
+      event: webhook.type
+    }, data)),
+    created: Math.floor(Date.now() / 1000),
+    status: 'pending',
+    attempts: 0,
+    statusCode: null,
+    error: null,
+    delivered: null
+  };
+  this._deliver(delivery, webhook.secret);
+};
+
+WebhookDispatcher.prototype._deliver = function (delivery, secret) {
+  var self = this;
+
+  delete this.retryTimers[delivery.id];
+  delivery.attempts++;
+
+  request({
+    method: 'POST',
+    url: delivery.url,
+    body: delivery.body,
+    timeout: WebhookDispatcher.REQUEST_TIMEOUT,
+    lookup: WebhookDispatcher.lookupPublic,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Webhook-Id': delivery.webhookId,
+      'X-Webhook-Delivery': delivery.id,
+      'X-Webhook-Signature': 'sha256=' + crypto.createHmac('sha256', secret).update(delivery.body).digest('hex')
+    }
+  }, function (err, response) {
+    delivery.statusCode = response ? response.statusCode : null;
+    delivery.error = err ? err.message : null;
+    if (!err && response.statusCode >= 200 && response.statusCode < 300) {
+      delivery.status = 'delivered';
+      delivery.delivered = Math.floor(Date.now() / 1000);
+      return self._finish(delivery);
+    }
+    if (!delivery.error) {
+      delivery.error = 'HTTP status ' + response.statusCode;
+    }
+    if (delivery.attempts >= self.maxAttempts || self.stopping) {
+      delivery.status = 'failed';
+      return self._finish(delivery);
+    }
+    var delay = self.retryDelay * Math.pow(2, delivery.attempts - 1);
+    self.retryTimers[delivery.id] = {
+      delivery: delivery,
+      timer: setTimeout(self._deliver.bind(self, delivery, secret), delay)
+    };
+  });
+};
+
+WebhookDispatcher.prototype._finish = function (delivery) {
+  this.deliveries.push(delivery);
+  fs.appendFileSync(this.deliveriesPath, JSON.stringify(delivery) + '\n');
+  if (this.deliveries.length > WebhookDispatcher.MAX_DELIVERIES * 2) {
+    this.deliveries = this.deliveries.slice(-WebhookDispatcher.MAX_DELIVERIES);
+    this._saveDeliveries();
+  }
+};
+
+/**
+ * Delivers a new transaction to the webhooks of the addresses it spends from or pays to
+ * @param {Buffer} txBuffer - The raw transaction, as emitted by the bitcoind service
+ */
+WebhookDispatcher.prototype.transactionHandler = function (txBuffer) {
+  var self = this;
+  var webhooks = this._getPending('address');
+  if (!webhooks.length) {
+    return;
+  }
+
+  var tx = new bitcore.Transaction().fromBuffer(txBuffer);
+  var addresses = {};
+  tx.inputs.concat(tx.outputs).forEach(function (item) {
+    var address = item.script && item.script.toAddress(self.node.network);
+    if (address) {
+      addresses[address.toString()] = true;
+    }
+  });
+
+  webhooks.forEach(function (webhook) {
+    if (addresses[webhook.address]) {
+      self._dispatch(webhook, {
+        address: webhook.address,
+        txid: tx.hash
+      });
+    }
+  });
+};
+
+/**
+ * Delivers a new block to the block webhooks and checks the transactions of the
+ * confirmation webhooks
+ * @param {Buffer} hashBuffer - The block hash, as emitted by the bitcoind service
+ */
+WebhookDispatcher.prototype.blockEventHandler = function (hashBuffer) {
+  var self = this;
+  var blockhash = hashBuffer.toString('hex');
+
+  this._expire();
+
+  var webhooks = this._getPending('block');
+  if (webhooks.length) {
+    this.node.getBlockHeader(blockhash, function (err, header) {
+      if (err) {
+        return self.node.log.error('Unable to deliver block', blockhash, 'to webhooks:', err.message);
+      }
+      webhooks.forEach(function (webhook) {
+        self._dispatch(webhook, {
+          hash: blockhash,
+          height: header.height,
+          time: header.time
+        });
+      });
+    });
+  }
+
+  this._getPending('confirmations').forEach(function (webhook) {
+    self._checkTransaction(webhook, function (transaction, confirmations) {
+      if (confirmations >= webhook.confirmations) {
+        self._dispatch(webhook, {
+          txid: webhook.txid,
+          blockHash: transaction.blockHash,
+          height: transaction.height,
+          confirmations: confirmations
+        });
+      }
+    });
+  });
+};
+
+/**
+ * Delivers a notarized height update to the webhooks of the transactions it notarizes
+ * @param {Object} notarized - The notarized height, hash and txid of the bitcoind service
+ */
+WebhookDispatcher.prototype.notarizedEventHandler = function (notarized) {
+  var self = this;
+  this._getPending('notarized').forEach(function (webhook) {
+    self._checkTransaction(webhook, function (transaction) {
+      if (transaction.height <= notarized.height) {
+        self._dispatch(webhook, {
+          txid: webhook.txid,
+          blockHash: transaction.blockHash,
+          height: transaction.height,
+          notarizedHeight: notarized.height,
+          notarizedHash: notarized.hash,
+          notarizationTxid: notarized.txid
+        });
+      }
+    });
+  });
+};
+
+/**
+ * Calls back with the transaction of a webhook and its confirmations once it is in a block
+ */
+WebhookDispatcher.prototype._checkTransaction = function (webhook, callback) {
+  var self = this;
+  this.node.getDetailedTransaction(webhook.txid, function (err, transaction) {
+    if (err && err.code === -5) {
+      return;
+    } else if (err) {
+      return self.node.log.error('Unable to check transaction', webhook.txid, 'for webhooks:', err.message);
+    }
+    if (transaction.height >= 0) {
+      callback(transaction, self.node.services.bitcoind.height - transaction.height + 1);
+    }
+  });
+};
+
+WebhookDispatcher.prototype.start = function () {
+  var self = this;
+  try {
+    this._load();
+  } catch (e) {
+    return this.node.log.error('Unable to load webhooks:', e.message);
+  }
+  var bitcoind = this.node.services.bitcoind;
+  bitcoind.on('tx', function (txBuffer) {
+    self.transactionHandler(txBuffer);
+  });
+  bitcoind.on('block', function (hashBuffer) {
+    self.blockEventHandler(hashBuffer);
+  });
+  bitcoind.on('notarized', function (notarized) {
+    self.notarizedEventHandler(notarized);
+  });
+};
+
+/**
+ * Stops retrying, deliveries waiting for a retry are logged as failed
+ */
+WebhookDispatcher.prototype.stop = function (callback) {
+  var self = this;
+  this.stopping = true;
+  _.values(this.retryTimers).forEach(function (retry) {
+    clearTimeout(retry.timer);
+    retry.delivery.status = 'failed';
+    self._finish(retry.delivery);
+  });
+  this.retryTimers = {};
+  setImmediate(callback);
+};
+
+module.exports = WebhookDispatcher;
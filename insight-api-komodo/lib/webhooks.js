@@ -0,0 +1,112 @@
+'use strict';
+
+var crypto = require('crypto');
+var bitcore = require('bitcore-lib-komodo');
+var _ = bitcore.deps._;
+var Common = require('./common');
+
+/**
+ * @param {Object} options
+ * @param {Node} options.node - The bitcore node
+ * @param {WebhookDispatcher} options.webhookDispatcher - Null when webhooks are disabled
+ * @param {String} options.apiKey - Key required in the X-Api-Key header to register webhooks
+ * @param {Function} options.getRemoteAddress - Returns the address of the client of a request
+ */
+function WebhookController(options) {
+  this.node = options.node;
+  this.webhookDispatcher = options.webhookDispatcher;
+  this.apiKey = options.apiKey;
+  this.getRemoteAddress = options.getRemoteAddress;
+
+  this.common = new Common({
+    log: this.node.log
+  });
+}
+
+WebhookController.prototype._checkEnabled = function (res) {
+  if (!this.webhookDispatcher) {
+    res.status(501).send('Webhooks are disabled');
+    return false;
+  }
+  return true;
+};
+
+WebhookController.prototype._checkApiKey = function (req, res) {
+  if (!this.apiKey) {
+    return true;
+  }
+  var apiKey = new Buffer(req.headers['x-api-key'] || '');
+  var expected = new Buffer(this.apiKey);
+  if (apiKey.length !== expected.length || !crypto.timingSafeEqual(apiKey, expected)) {
+    res.status(401).send('Invalid API key');
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Registers a webhook. The response is the only one that includes the secret used to sign
+ * the payloads.
+ */
+WebhookController.prototype.create = function (req, res) {
+  if (!this._checkEnabled(res) || !this._checkApiKey(req, res)) {
+    return;
+  }
+
+  var webhook;
+  try {
+    webhook = this.webhookDispatcher.add({
+      url: req.body.url,
+      type: req.body.type,
+      address: req.body.address,
+      txid: req.body.txid,
+      confirmations: parseInt(req.body.confirmations) || 1,
+      client: this.getRemoteAddress(req)
+    });
+  } catch (e) {
+    return this.common.handleErrors(e, res);
+  }
+  res.jsonp(_.omit(webhook, 'client'));
+};
+
+WebhookController.prototype.webhook = function (req, res, next) {
+  if (!this._checkEnabled(res)) {
+    return;
+  }
+  var webhook = this.webhookDispatcher.get(req.params.webhookId);
+  if (!webhook) {
+    return this.common.handleErrors(null, res);
+  }
+  req.webhook = webhook;
+  next();
+};
+
+WebhookController.prototype.show = function (req, res) {
+  if (req.webhook) {
+    res.jsonp(_.omit(req.webhook, 'secret', 'client'));
+  }
+};
+
+/**
+ * Deliveries of a webhook, the ones being retried first and then the most recent
+ */
+WebhookController.prototype.deliveries = function (req, res) {
+  if (req.webhook) {
+    res.jsonp({
+      webhookId: req.webhook.id,
+      deliveries: this.webhookDispatcher.getDeliveries(req.webhook.id)
+    });
+  }
+};
+
+WebhookController.prototype.remove = function (req, res) {
+  if (req.webhook) {
+    this.webhookDispatcher.remove(req.webhook.id);
+    res.jsonp({
+      id: req.webhook.id,
+      removed: true
+    });
+  }
+};
+
+module.exports = WebhookController;
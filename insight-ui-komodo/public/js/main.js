@@ -26,7 +26,9 @@ angular.module('insight', [
   'insight.ad',
   'insight.connection',
   'insight.currency',
-  'insight.messages'
+  'insight.messages',
+  'insight.notaries',
+  'insight.widget'
 
 ]);
 
@@ -42,6 +44,8 @@ angular.module('insight.ad', []);
 angular.module('insight.connection', []);
 angular.module('insight.currency', []);
 angular.module('insight.messages', []);
+angular.module('insight.notaries', []);
+angular.module('insight.widget', []);
 
 // Source: public/src/js/controllers/ad.js
 angular
@@ -190,7 +194,7 @@ angular.module('insight.address').controller('AddressController',
 
 // Source: public/src/js/controllers/blocks.js
 angular.module('insight.blocks').controller('BlocksController',
-  function ($scope, $rootScope, $routeParams, $location, Global, Block, Blocks, BlockByHeight) {
+  function ($scope, $rootScope, $routeParams, $location, Global, Block, Blocks, BlockByHeight, getSocket, NotarizationStatus) {
     $scope.global = Global;
     $scope.loading = false;
 
@@ -255,20 +259,7 @@ angular.module('insight.blocks').controller('BlocksController',
         startTimestamp: $routeParams.startTimestamp
       }, function (res) {
         $scope.loading = false;
-        Block.get({
-          blockHash: res.blocks[0].hash
-        }, function (block) {
-          $scope.lastNotarizedHeight = block.lastNotarizedHeight;
-        }, function (e) {
-          if (e.status === 400) {
-            //  $rootScope.flashMessage = 'Invalid Transaction ID: ' + $routeParams.txId;
-          } else if (e.status === 503) {
-            $rootScope.flashMessage = 'Backend Error. ' + e.data;
-          } else {
-            //   $rootScope.flashMessage = 'Block Not Found';
-          }
-
-        });
+        $scope.lastNotarizedHeight = res.lastNotarizedHeight;
         $scope.blocks = res.blocks;
         $scope.pagination = res.pagination;
 
@@ -304,24 +295,128 @@ angular.module('insight.blocks').controller('BlocksController',
 
     $scope.params = $routeParams;
 
+    var _onNotarized = function (notarized) {
+      $scope.lastNotarizedHeight = notarized.height;
+      angular.forEach($scope.blocks, function (b) {
+        NotarizationStatus.update(b.notarizationStatus, b.height, notarized);
+      });
+      if ($scope.block) {
+        NotarizationStatus.update($scope.block.notarizationStatus, $scope.block.height, notarized);
+      }
+    };
+
+    var socket = getSocket($scope);
+
+    var _startSocket = function () {
+      socket.emit('subscribe', 'inv');
+      socket.on('notarized', function (notarized) {
+        _onNotarized(notarized);
+      });
+    };
+
+    socket.on('connect', function () {
+      _startSocket();
+    });
+
+    _startSocket();
+
   });
 
 // Source: public/src/js/controllers/charts.js
 angular.module('insight.charts').controller('ChartsController',
-  function($scope, $rootScope, $routeParams, $location, Chart, Charts) {
+  function($scope, $rootScope, $routeParams, $location, Chart, Charts, NotarizationLatency) {
   $scope.loading = false;
 
+  // built from /notarizations/latency rather than the chart API
+  var LATENCY_CHART = 'notarization-latency';
+  var LATENCY_DAYS = 30;
+
   $scope.list = function() {
     Charts.get({
     }, function(res) {
       $scope.charts = res.charts;
+      $scope.charts[LATENCY_CHART] = {
+        name: 'Notarization Latency'
+      };
     });
 
-    if ($routeParams.chartType) {
+    if ($routeParams.chartType === LATENCY_CHART) {
+      $scope.latencyChart();
+    }
+    else if ($routeParams.chartType) {
       $scope.chart();
     }
   };
 
+  $scope.latencyChart = function() {
+    $scope.loading = true;
+
+    NotarizationLatency.get({
+      days: LATENCY_DAYS
+    }, function(latency) {
+      $scope.loading = false;
+      $scope.chartType = LATENCY_CHART;
+      $scope.chartName = 'Notarization Latency';
+      $scope.latency = latency;
+
+      var days = latency.daily.map(function(day) {
+        return {
+          date: day.date,
+          p50: day.blocks.p50,
+          p90: day.blocks.p90,
+          p99: day.blocks.p99,
+          p50Minutes: Math.round(day.seconds.p50 / 6) / 10,
+          p90Minutes: Math.round(day.seconds.p90 / 6) / 10
+        };
+      });
+
+      $scope.chart = c3.generate({
+        data: {
+          json: days,
+          keys: {
+            x: 'date',
+            value: ['p50', 'p90', 'p99', 'p50Minutes', 'p90Minutes']
+          },
+          xFormat: '%Y-%m-%d',
+          names: {
+            p50: 'Median (blocks)',
+            p90: '90th percentile (blocks)',
+            p99: '99th percentile (blocks)',
+            p50Minutes: 'Median (minutes)',
+            p90Minutes: '90th percentile (minutes)'
+          },
+          axes: {
+            p50Minutes: 'y2',
+            p90Minutes: 'y2'
+          }
+        },
+        axis: {
+          x: {
+            type: 'timeseries',
+            tick: {
+              format: '%Y-%m-%d'
+            }
+          },
+          y: {
+            label: 'Blocks'
+          },
+          y2: {
+            show: true,
+            label: 'Minutes'
+          }
+        }
+      });
+    }, function(e) {
+      if (e.status === 501) {
+        $rootScope.flashMessage = 'Notarization index is disabled';
+      }
+      else {
+        $rootScope.flashMessage = 'Backend Error. ' + e.data;
+      }
+      $location.path('/');
+    });
+  };
+
   $scope.chart = function() {
     $scope.loading = true;
 
@@ -352,7 +447,7 @@ angular.module('insight.charts').controller('ChartsController',
 
 // Source: public/src/js/controllers/connection.js
 angular.module('insight.connection').controller('ConnectionController',
-  function($scope, $window, Status, getSocket, PeerSync) {
+  function($scope, $window, Status, getSocket, PeerSync, Health) {
 
     // Set initial values
     $scope.apiOnline = true;
@@ -382,6 +477,26 @@ angular.module('insight.connection').controller('ConnectionController',
         });
     };
 
+    // Check for notarizations falling behind the tip. The health API responds
+    // with an error status when critical, the body is the same.
+    $scope.getHealth = function() {
+      Health.get({},
+        function(health) {
+          $scope.health = health;
+        },
+        function(e) {
+          $scope.health = e.data && e.data.status ? e.data : null;
+        });
+    };
+
+    socket.emit('subscribe', 'inv');
+    socket.on('block', function() {
+      $scope.getHealth();
+    });
+    socket.on('notarized', function() {
+      $scope.getHealth();
+    });
+
     socket.emit('subscribe', 'sync');
     socket.on('status', function(sync) {
       $scope.sync = sync;
@@ -526,9 +641,15 @@ angular.module('insight.system').controller('HeaderController',
     $scope.menu = [{
       'title': 'Blocks',
       'link': 'blocks'
+    }, {
+      'title': 'Mempool',
+      'link': 'mempool'
     }, {
       'title': 'Charts',
       'link': 'charts'
+    }, {
+      'title': 'Notaries',
+      'link': 'notaries'
     }, {
       'title': 'Status',
       'link': 'status'
@@ -573,7 +694,7 @@ angular
     Global,
     getSocket,
     Blocks,
-    Block
+    NotarizationStatus
   ) {
     $scope.global = Global;
 
@@ -583,20 +704,7 @@ angular
         },
         function (res) {
 
-          Block.get({
-            blockHash: res.blocks[0].hash
-          }, function (block) {
-            $scope.lastNotarizedHeight = block.lastNotarizedHeight;
-          }, function (e) {
-            if (e.status === 400) {
-              //  $rootScope.flashMessage = 'Invalid Transaction ID: ' + $routeParams.txId;
-            } else if (e.status === 503) {
-              $rootScope.flashMessage = 'Backend Error. ' + e.data;
-            } else {
-              //   $rootScope.flashMessage = 'Block Not Found';
-            }
-
-          });
+          $scope.lastNotarizedHeight = res.lastNotarizedHeight;
 
           $scope.blocks = res.blocks;
           $scope.blocksLength = res.length;
@@ -620,6 +728,13 @@ angular
       socket.on("block", function () {
         _getBlocks();
       });
+
+      socket.on("notarized", function (notarized) {
+        $scope.lastNotarizedHeight = notarized.height;
+        $scope.blocks.forEach(function (b) {
+          NotarizationStatus.update(b.notarizationStatus, b.height, notarized);
+        });
+      });
     };
 
     socket.on("connect", function () {
@@ -640,6 +755,80 @@ angular
     $scope.blocks = [];
   });
 
+// Source: public/src/js/controllers/mempool.js
+angular.module('insight.transactions').controller('MempoolController',
+  function($scope, $rootScope, $timeout, Mempool, getSocket) {
+    $scope.loading = false;
+    $scope.txs = [];
+    $scope.pageNum = 0;
+
+    $scope.humanSince = function(time) {
+      var m = moment.unix(time);
+      return moment.min(m).fromNow();
+    };
+
+    $scope.feeRateLabel = function(bucket) {
+      if (bucket.maxFeeRate === null) {
+        return bucket.minFeeRate + '+';
+      }
+      return bucket.minFeeRate + ' - ' + bucket.maxFeeRate;
+    };
+
+    $scope.list = function(pageNum) {
+      $scope.loading = !$scope.mempool;
+      $scope.pageNum = pageNum || 0;
+
+      Mempool.get({
+        pageNum: $scope.pageNum
+      }, function(res) {
+        var maxCount = Math.max.apply(null, res.feeRateHistogram.map(function(bucket) {
+          return bucket.count;
+        }));
+        res.feeRateHistogram.forEach(function(bucket) {
+          bucket.percentage = maxCount ? Math.round(bucket.count * 100 / maxCount) : 0;
+        });
+        $scope.loading = false;
+        $scope.mempool = res;
+        $scope.txs = res.txs;
+        $scope.pagesTotal = res.pagesTotal;
+      }, function(e) {
+        $scope.loading = false;
+        $rootScope.flashMessage = 'Backend Error. ' + e.data;
+      });
+    };
+
+    // New transactions arrive in bursts, reload at most once per second
+    var reloadTimeout;
+    var _reload = function() {
+      if (reloadTimeout) {
+        return;
+      }
+      reloadTimeout = $timeout(function() {
+        reloadTimeout = null;
+        $scope.list($scope.pageNum);
+      }, 1000);
+    };
+
+    $scope.$on('$destroy', function() {
+      $timeout.cancel(reloadTimeout);
+    });
+
+    var socket = getSocket($scope);
+
+    var _startSocket = function() {
+      socket.emit('subscribe', 'inv');
+      socket.on('tx', _reload);
+      socket.on('block', _reload);
+    };
+
+    socket.on('connect', function() {
+      _startSocket();
+    });
+
+    _startSocket();
+
+  });
+
 // Source: public/src/js/controllers/messages.js
 angular.module('insight.messages').controller('VerifyMessageController',
   function($scope, $http) {
@@ -690,6 +879,93 @@ angular.module('insight.messages').controller('VerifyMessageController',
   $scope.$watch('message.message', unverify);
 });
 
+// Source: public/src/js/controllers/notaries.js
+angular.module('insight.notaries').controller('NotariesController',
+  function($scope, $rootScope, NotaryLeaderboard) {
+    $scope.loading = false;
+
+    $scope.windows = [{
+      hours: 24,
+      title: '24 hours'
+    }, {
+      hours: 24 * 7,
+      title: '7 days'
+    }, {
+      hours: 24 * 30,
+      title: '30 days'
+    }];
+
+    $scope.humanSince = function(time) {
+      var m = moment.unix(time);
+      return moment.min(m).fromNow();
+    };
+
+    $scope.list = function(hours) {
+      $scope.loading = true;
+      $scope.hours = hours || $scope.windows[0].hours;
+
+      NotaryLeaderboard.get({
+        hours: $scope.hours
+      }, function(res) {
+        $scope.loading = false;
+        $scope.leaderboard = res;
+      }, function(e) {
+        $scope.loading = false;
+        if (e.status === 501) {
+          $rootScope.flashMessage = 'Notarization index is disabled';
+        } else {
+          $rootScope.flashMessage = 'Backend Error. ' + e.data;
+        }
+      });
+    };
+  });
+
+// Source: public/src/js/controllers/orphans.js
+angular.module('insight.blocks').controller('OrphansController',
+  function($scope, $rootScope, Orphans, getSocket) {
+    $scope.loading = false;
+    $scope.orphans = [];
+    $scope.pageNum = 0;
+
+    $scope.humanSince = function(time) {
+      var m = moment.unix(time);
+      return moment.min(m).fromNow();
+    };
+
+    $scope.list = function(pageNum) {
+      $scope.loading = true;
+      $scope.pageNum = pageNum || 0;
+
+      Orphans.get({
+        pageNum: $scope.pageNum
+      }, function(res) {
+        $scope.loading = false;
+        $scope.orphans = res.orphans;
+        $scope.pagesTotal = res.pagesTotal;
+        $scope.totalCount = res.totalCount;
+      }, function(e) {
+        $scope.loading = false;
+        $rootScope.flashMessage = 'Backend Error. ' + e.data;
+      });
+    };
+
+    var socket = getSocket($scope);
+
+    var _startSocket = function() {
+      socket.emit('subscribe', 'inv');
+      socket.on('reorg', function() {
+        $scope.list($scope.pageNum);
+      });
+    };
+
+    socket.on('connect', function() {
+      _startSocket();
+    });
+
+    _startSocket();
+
+  });
+
 // Source: public/src/js/controllers/scanner.js
 angular.module('insight.system').controller('ScannerController',
   function($scope, $rootScope, $modalInstance, Global) {
@@ -905,7 +1181,7 @@ angular.module('insight.search').controller('SearchController',
 
 // Source: public/src/js/controllers/status.js
 angular.module('insight.status').controller('StatusController',
-  function($scope, $routeParams, $location, Global, Status, Sync, getSocket) {
+  function($scope, $routeParams, $location, Global, Status, Sync, Health, getSocket, NotarizationStatus) {
     $scope.global = Global;
 
     $scope.getStatus = function(q) {
@@ -921,6 +1197,20 @@ angular.module('insight.status').controller('StatusController',
         });
     };
 
+    $scope.getHealth = function() {
+      Health.get({},
+        function(health) {
+          $scope.health = health;
+        },
+        function(e) {
+          if (e.data && e.data.status) {
+            $scope.health = e.data;
+          } else {
+            $scope.error = 'API ERROR: ' + e.data;
+          }
+        });
+    };
+
     $scope.humanSince = function(time) {
       var m = moment.unix(time / 1000);
       return moment.min(m).fromNow();
@@ -930,11 +1220,24 @@ angular.module('insight.status').controller('StatusController',
       $scope.sync = sync;
     };
 
+    var _onNotarized = function(notarized) {
+      if ($scope.info) {
+        NotarizationStatus.update($scope.info.notarization, notarized.height, notarized);
+      }
+      if ($scope.health) {
+        $scope.getHealth();
+      }
+    };
+
     var _startSocket = function () {
       socket.emit('subscribe', 'sync');
       socket.on('status', function(sync) {
         _onSyncUpdate(sync);
       });
+      socket.emit('subscribe', 'inv');
+      socket.on('notarized', function(notarized) {
+        _onNotarized(notarized);
+      });
     };
     
     var socket = getSocket($scope);
@@ -960,7 +1263,7 @@ angular.module('insight.status').controller('StatusController',
 
 // Source: public/src/js/controllers/transactions.js
 angular.module('insight.transactions').controller('transactionsController',
-function($scope, $rootScope, $routeParams, $location, Global, Transaction, TransactionsByBlock, TransactionsByAddress) {
+function($scope, $rootScope, $routeParams, $location, Global, Transaction, TransactionsByBlock, TransactionsByAddress, getSocket, NotarizationStatus) {
   $scope.global = Global;
   $scope.loading = false;
   $scope.loadedBy = null;
@@ -1012,6 +1315,8 @@ function($scope, $rootScope, $routeParams, $location, Global, Transaction, Trans
         tmp[addr].items = [];
       }
       tmp[addr].isSpent = items[i].spentTxId;
+      tmp[addr].label = tmp[addr].label || items[i].label;
+      tmp[addr].notary = tmp[addr].notary || items[i].notary;
 
       tmp[addr].doubleSpentTxID = tmp[addr].doubleSpentTxID   || items[i].doubleSpentTxID;
       tmp[addr].doubleSpentIndex = tmp[addr].doubleSpentIndex || items[i].doubleSpentIndex;
@@ -1131,6 +1436,24 @@ function($scope, $rootScope, $routeParams, $location, Global, Transaction, Trans
     _findTx(txid);
   });
 
+  var socket = getSocket($scope);
+
+  var _startSocket = function() {
+    socket.emit('subscribe', 'inv');
+    socket.on('notarized', function(notarized) {
+      $scope.txs.forEach(function(tx) {
+        NotarizationStatus.update(tx.notarizationStatus, tx.blockheight, notarized);
+        tx.notarized = !!tx.notarizationStatus && tx.notarizationStatus.state === 'notarized';
+      });
+    });
+  };
+
+  socket.on('connect', function() {
+    _startSocket();
+  });
+
+  _startSocket();
+
 });
 
 angular.module('insight.transactions').controller('SendRawTransactionController',
@@ -1171,6 +1494,79 @@ angular.module('insight.transactions').controller('SendRawTransactionController'
   };
 });
 
+// Source: public/src/js/controllers/widget.js
+angular.module('insight.widget').controller('WidgetController',
+  function($scope, $routeParams, $location, Block, Transaction, getSocket) {
+    $scope.loading = true;
+
+    // The widget links back to the full page on the explorer
+    $scope.pageUrl = $location.absUrl().replace('/widget/', '/');
+
+    var _show = function(item) {
+      $scope.loading = false;
+      $scope.notFound = false;
+      $scope.item = item;
+    };
+
+    var _error = function() {
+      $scope.loading = false;
+      $scope.notFound = true;
+    };
+
+    $scope.findOne = function() {
+      if ($routeParams.txId) {
+        $scope.type = 'tx';
+        Transaction.get({
+          txId: $routeParams.txId
+        }, function(tx) {
+          // the resource resolves a 404 with the response
+          if (!tx || !tx.txid) {
+            return _error();
+          }
+          _show({
+            id: tx.txid,
+            height: tx.blockheight,
+            confirmations: tx.confirmations,
+            notarizationStatus: tx.notarizationStatus
+          });
+        }, _error);
+      } else {
+        $scope.type = 'block';
+        Block.get({
+          blockHash: $routeParams.blockHash
+        }, function(block) {
+          if (!block || !block.hash) {
+            return _error();
+          }
+          _show({
+            id: block.hash,
+            height: block.height,
+            confirmations: block.confirmations,
+            notarizationStatus: block.notarizationStatus
+          });
+        }, _error);
+      }
+    };
+
+    // Reload on new blocks and notarizations, for the confirmations to follow
+    var socket = getSocket($scope);
+
+    socket.on('block', function() {
+      $scope.findOne();
+    });
+    socket.on('notarized', function() {
+      $scope.findOne();
+    });
+
+    // listeners stay registered across reconnections, only the subscription is lost
+    socket.on('connect', function() {
+      socket.emit('subscribe', 'inv');
+    });
+
+    socket.emit('subscribe', 'inv');
+
+  });
+
 // Source: public/src/js/services/address.js
 angular.module('insight.address').factory('Address',
   function($resource) {
@@ -1223,6 +1619,10 @@ angular.module('insight.blocks')
   .factory('BlockByHeight',
     function($resource) {
       return $resource(window.apiPrefix + '/block-index/:blockHeight');
+  })
+  .factory('Orphans',
+    function($resource) {
+      return $resource(window.apiPrefix + '/orphans');
   });
 
 // Source: public/src/js/services/charts.js
@@ -1250,6 +1650,12 @@ angular.module('insight.charts')
   .factory('Charts',
     function($resource) {
       return $resource(window.apiPrefix + '/charts');
+  })
+  .factory('NotarizationLatency',
+    function($resource) {
+      return $resource(window.apiPrefix + '/notarizations/latency', {
+        days: '@days'
+      });
   });
 
 // Source: public/src/js/services/currency.js
@@ -1271,6 +1677,37 @@ angular.module('insight.system')
       return $resource(window.apiPrefix + '/version');
   });
 
+// Source: public/src/js/services/notaries.js
+angular.module('insight.notaries')
+  .factory('NotaryLeaderboard',
+    function($resource) {
+      return $resource(window.apiPrefix + '/notaries/leaderboard', {
+        hours: '@hours'
+      });
+  })
+  .factory('NotarizationStatus',
+    function() {
+      return {
+        // Applies a notarized height received on the socket to the notarization status
+        // of a block or transaction at a height, as returned by the API
+        update: function(status, height, notarized) {
+          if (!status || notarized.height < status.notarizedHeight) {
+            return;
+          }
+          status.dpowEnabled = true;
+          if (status.state === 'notarized') {
+            return;
+          }
+          if (height >= 0 && height <= notarized.height) {
+            status.state = 'notarized';
+          }
+          status.notarizedHeight = notarized.height;
+          status.notarizedHash = notarized.hash;
+          status.notarizationTxid = notarized.txid;
+        }
+      };
+  });
+
 // Source: public/src/js/services/socket.js
 var ScopedSocket = function(socket, $rootScope) {
   this.socket = socket;
@@ -1360,6 +1797,10 @@ angular.module('insight.status')
   .factory('PeerSync',
     function($resource) {
       return $resource(window.apiPrefix + '/peer');
+    })
+  .factory('Health',
+    function($resource) {
+      return $resource(window.apiPrefix + '/health');
     });
 
 // Source: public/src/js/services/transactions.js
@@ -1399,6 +1840,10 @@ angular.module('insight.transactions')
   .factory('Transactions',
     function($resource) {
       return $resource(window.apiPrefix + '/txs');
+  })
+  .factory('Mempool',
+    function($resource) {
+      return $resource(window.apiPrefix + '/mempool');
   });
 
 // Source: public/src/js/directives.js
@@ -1490,6 +1935,24 @@ angular.module('insight')
         });
       }
     };
+  })
+  // Renders the notarization status of a block, a transaction or the chain. The mode is one of
+  // icon, flag, label, badges (with the confirmations of a transaction) or height.
+  .directive('notarizationStatus', function() {
+    return {
+      restrict: 'A',
+      scope: {
+        status: '=notarizationStatus',
+        confirmations: '=?',
+        mode: '@'
+      },
+      templateUrl: 'views/includes/notarizationStatus.html',
+      link: function(scope) {
+        scope.isNotarized = function() {
+          return scope.status && scope.status.state === 'notarized';
+        };
+      }
+    };
   });
 
 // Source: public/src/js/filters.js
@@ -1539,6 +2002,14 @@ angular.module('insight').config(function($routeProvider) {
       templateUrl: 'views/block_list.html',
       title: 'Nature Blocks solved '
     }).
+    when('/mempool', {
+      templateUrl: 'views/mempool.html',
+      title: 'Mempool'
+    }).
+    when('/orphans', {
+      templateUrl: 'views/orphans.html',
+      title: 'Orphaned Blocks'
+    }).
     when('/address/:addrStr', {
       templateUrl: 'views/address.html',
       title: 'Nature Address '
@@ -1547,6 +2018,10 @@ angular.module('insight').config(function($routeProvider) {
       templateUrl: 'views/charts.html',
       title: 'Charts'
     }).
+    when('/notaries', {
+      templateUrl: 'views/notaries.html',
+      title: 'Notaries'
+    }).
     when('/status', {
       templateUrl: 'views/status.html',
       title: 'Status'
@@ -1554,6 +2029,16 @@ angular.module('insight').config(function($routeProvider) {
     when('/messages/verify', {
       templateUrl: 'views/messages_verify.html',
       title: 'Verify Message'
+    }).
+    when('/widget/tx/:txId', {
+      templateUrl: 'views/widget.html',
+      title: 'Nature Transaction ',
+      widget: true
+    }).
+    when('/widget/block/:blockHash', {
+      templateUrl: 'views/widget.html',
+      title: 'Nature Block ',
+      widget: true
     })
     .otherwise({
       templateUrl: 'views/404.html',
@@ -1582,6 +2067,8 @@ angular.module('insight')
       $rootScope.title = $route.current.title;
       $rootScope.isCollapsed = true;
       $rootScope.currentAddr = null;
+      // Widgets are embedded in other sites, without the header and footer
+      $rootScope.widget = !!$route.current.widget;
 
       $location.hash($routeParams.scrollTo);
       $anchorScroll();
@@ -27,7 +27,9 @@ angular.module('insight', [
   'insight.ad',
   'insight.connection',
   'insight.currency',
-  'insight.messages'
+  'insight.messages',
+  'insight.notaries',
+  'insight.widget'
 
 ]);
 
@@ -43,3 +45,5 @@ angular.module('insight.ad', []);
 angular.module('insight.connection', []);
 angular.module('insight.currency', []);
 angular.module('insight.messages', []);
+angular.module('insight.notaries', []);
+angular.module('insight.widget', []);
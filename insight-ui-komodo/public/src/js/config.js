@@ -0,0 +1,105 @@
+'use strict';
+
+//Setting up route
+angular.module('insight').config(function($routeProvider) {
+  $routeProvider.
+    when('/block/:blockHash', {
+      templateUrl: 'views/block.html',
+      title: 'Nature Block '
+    }).
+    when('/block-index/:blockHeight', {
+      controller: 'BlocksController',
+      templateUrl: 'views/redirect.html'
+    }).
+    when('/tx/send', {
+      templateUrl: 'views/transaction_sendraw.html',
+      title: 'Broadcast Raw Transaction'
+    }).
+    when('/tx/:txId/:v_type?/:v_index?', {
+      templateUrl: 'views/transaction.html',
+      title: 'Nature Transaction '
+    }).
+    when('/', {
+      templateUrl: 'views/index.html',
+      title: 'Home'
+    }).
+    when('/blocks', {
+      templateUrl: 'views/block_list.html',
+      title: 'Nature Blocks solved Today'
+    }).
+    when('/blocks-date/:blockDate/:startTimestamp?', {
+      templateUrl: 'views/block_list.html',
+      title: 'Nature Blocks solved '
+    }).
+    when('/mempool', {
+      templateUrl: 'views/mempool.html',
+      title: 'Mempool'
+    }).
+    when('/orphans', {
+      templateUrl: 'views/orphans.html',
+      title: 'Orphaned Blocks'
+    }).
+    when('/address/:addrStr', {
+      templateUrl: 'views/address.html',
+      title: 'Nature Address '
+    }).
+    when('/charts/:chartType?', {
+      templateUrl: 'views/charts.html',
+      title: 'Charts'
+    }).
+    when('/notaries', {
+      templateUrl: 'views/notaries.html',
+      title: 'Notaries'
+    }).
+    when('/status', {
+      templateUrl: 'views/status.html',
+      title: 'Status'
+    }).
+    when('/messages/verify', {
+      templateUrl: 'views/messages_verify.html',
+      title: 'Verify Message'
+    }).
+    when('/widget/tx/:txId', {
+      templateUrl: 'views/widget.html',
+      title: 'Nature Transaction ',
+      widget: true
+    }).
+    when('/widget/block/:blockHash', {
+      templateUrl: 'views/widget.html',
+      title: 'Nature Block ',
+      widget: true
+    })
+    .otherwise({
+      templateUrl: 'views/404.html',
+      title: 'Error'
+    });
+});
+
+//Setting HTML5 Location Mode
+angular.module('insight')
+  .config(function($locationProvider) {
+    $locationProvider.html5Mode(true);
+    $locationProvider.hashPrefix('!');
+  })
+  .run(function($rootScope, $route, $location, $routeParams, $anchorScroll, ngProgress, gettextCatalog, amMoment) {
+    gettextCatalog.currentLanguage = defaultLanguage;
+    amMoment.changeLocale(defaultLanguage);
+    $rootScope.$on('$routeChangeStart', function() {
+      ngProgress.start();
+    });
+
+    $rootScope.$on('$routeChangeSuccess', function() {
+      ngProgress.complete();
+
+      //Change page title, based on Route information
+      $rootScope.titleDetail = '';
+      $rootScope.title = $route.current.title;
+      $rootScope.isCollapsed = true;
+      $rootScope.currentAddr = null;
+      // Widgets are embedded in other sites, without the header and footer
+      $rootScope.widget = !!$route.current.widget;
+
+      $location.hash($routeParams.scrollTo);
+      $anchorScroll();
+    });
+  });
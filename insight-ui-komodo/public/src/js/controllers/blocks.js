@@ -1,7 +1,7 @@
 'use strict';
 
 angular.module('insight.blocks').controller('BlocksController',
-  function ($scope, $rootScope, $routeParams, $location, Global, Block, Blocks, BlockByHeight) {
+  function ($scope, $rootScope, $routeParams, $location, Global, Block, Blocks, BlockByHeight, getSocket, NotarizationStatus) {
     $scope.global = Global;
     $scope.loading = false;
 
@@ -66,20 +66,7 @@ angular.module('insight.blocks').controller('BlocksController',
         startTimestamp: $routeParams.startTimestamp
       }, function (res) {
         $scope.loading = false;
-        Block.get({
-          blockHash: res.blocks[0].hash
-        }, function (block) {
-          $scope.lastNotarizedHeight = block.lastNotarizedHeight;
-        }, function (e) {
-          if (e.status === 400) {
-            //  $rootScope.flashMessage = 'Invalid Transaction ID: ' + $routeParams.txId;
-          } else if (e.status === 503) {
-            $rootScope.flashMessage = 'Backend Error. ' + e.data;
-          } else {
-            //   $rootScope.flashMessage = 'Block Not Found';
-          }
-
-        });
+        $scope.lastNotarizedHeight = res.lastNotarizedHeight;
         $scope.blocks = res.blocks;
         $scope.pagination = res.pagination;
 
@@ -115,4 +102,29 @@ angular.module('insight.blocks').controller('BlocksController',
 
     $scope.params = $routeParams;
 
+    var _onNotarized = function (notarized) {
+      $scope.lastNotarizedHeight = notarized.height;
+      angular.forEach($scope.blocks, function (b) {
+        NotarizationStatus.update(b.notarizationStatus, b.height, notarized);
+      });
+      if ($scope.block) {
+        NotarizationStatus.update($scope.block.notarizationStatus, $scope.block.height, notarized);
+      }
+    };
+
+    var socket = getSocket($scope);
+
+    var _startSocket = function () {
+      socket.emit('subscribe', 'inv');
+      socket.on('notarized', function (notarized) {
+        _onNotarized(notarized);
+      });
+    };
+
+    socket.on('connect', function () {
+      _startSocket();
+    });
+
+    _startSocket();
+
   });
@@ -0,0 +1,123 @@
+'use strict';
+
+angular.module('insight.charts').controller('ChartsController',
+  function($scope, $rootScope, $routeParams, $location, Chart, Charts, NotarizationLatency) {
+  $scope.loading = false;
+
+  // built from /notarizations/latency rather than the chart API
+  var LATENCY_CHART = 'notarization-latency';
+  var LATENCY_DAYS = 30;
+
+  $scope.list = function() {
+    Charts.get({
+    }, function(res) {
+      $scope.charts = res.charts;
+      $scope.charts[LATENCY_CHART] = {
+        name: 'Notarization Latency'
+      };
+    });
+
+    if ($routeParams.chartType === LATENCY_CHART) {
+      $scope.latencyChart();
+    }
+    else if ($routeParams.chartType) {
+      $scope.chart();
+    }
+  };
+
+  $scope.latencyChart = function() {
+    $scope.loading = true;
+
+    NotarizationLatency.get({
+      days: LATENCY_DAYS
+    }, function(latency) {
+      $scope.loading = false;
+      $scope.chartType = LATENCY_CHART;
+      $scope.chartName = 'Notarization Latency';
+      $scope.latency = latency;
+
+      var days = latency.daily.map(function(day) {
+        return {
+          date: day.date,
+          p50: day.blocks.p50,
+          p90: day.blocks.p90,
+          p99: day.blocks.p99,
+          p50Minutes: Math.round(day.seconds.p50 / 6) / 10,
+          p90Minutes: Math.round(day.seconds.p90 / 6) / 10
+        };
+      });
+
+      $scope.chart = c3.generate({
+        data: {
+          json: days,
+          keys: {
+            x: 'date',
+            value: ['p50', 'p90', 'p99', 'p50Minutes', 'p90Minutes']
+          },
+          xFormat: '%Y-%m-%d',
+          names: {
+            p50: 'Median (blocks)',
+            p90: '90th percentile (blocks)',
+            p99: '99th percentile (blocks)',
+            p50Minutes: 'Median (minutes)',
+            p90Minutes: '90th percentile (minutes)'
+          },
+          axes: {
+            p50Minutes: 'y2',
+            p90Minutes: 'y2'
+          }
+        },
+        axis: {
+          x: {
+            type: 'timeseries',
+            tick: {
+              format: '%Y-%m-%d'
+            }
+          },
+          y: {
+            label: 'Blocks'
+          },
+          y2: {
+            show: true,
+            label: 'Minutes'
+          }
+        }
+      });
+    }, function(e) {
+      if (e.status === 501) {
+        $rootScope.flashMessage = 'Notarization index is disabled';
+      }
+      else {
+        $rootScope.flashMessage = 'Backend Error. ' + e.data;
+      }
+      $location.path('/');
+    });
+  };
+
+  $scope.chart = function() {
+    $scope.loading = true;
+
+    Chart.get({
+      chartType: $routeParams.chartType
+    }, function(chart) {
+      $scope.loading = false;
+      $scope.chartType = $routeParams.chartType;
+      $scope.chartName = chart.name;
+      $scope.chart = c3.generate(chart);
+    }, function(e) {
+      if (e.status === 400) {
+        $rootScope.flashMessage = 'Invalid chart: ' + $routeParams.chartType;
+      }
+      else if (e.status === 503) {
+        $rootScope.flashMessage = 'Backend Error. ' + e.data;
+      }
+      else {
+        $rootScope.flashMessage = 'Chart Not Found';
+      }
+      $location.path('/');
+    });
+  };
+
+  $scope.params = $routeParams;
+
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+angular.module('insight.connection').controller('ConnectionController',
+  function($scope, $window, Status, getSocket, PeerSync, Health) {
+
+    // Set initial values
+    $scope.apiOnline = true;
+    $scope.serverOnline = true;
+    $scope.clienteOnline = true;
+
+    var socket = getSocket($scope);
+
+    // Check for the node server connection
+    socket.on('connect', function() {
+      $scope.serverOnline = true;
+      socket.on('disconnect', function() {
+        $scope.serverOnline = false;
+      });
+    });
+
+    // Check for the  api connection
+    $scope.getConnStatus = function() {
+      PeerSync.get({},
+        function(peer) {
+          $scope.apiOnline = peer.connected;
+          $scope.host = peer.host;
+          $scope.port = peer.port;
+        },
+        function() {
+          $scope.apiOnline = false;
+        });
+    };
+
+    // Check for notarizations falling behind the tip. The health API responds
+    // with an error status when critical, the body is the same.
+    $scope.getHealth = function() {
+      Health.get({},
+        function(health) {
+          $scope.health = health;
+        },
+        function(e) {
+          $scope.health = e.data && e.data.status ? e.data : null;
+        });
+    };
+
+    socket.emit('subscribe', 'inv');
+    socket.on('block', function() {
+      $scope.getHealth();
+    });
+    socket.on('notarized', function() {
+      $scope.getHealth();
+    });
+
+    socket.emit('subscribe', 'sync');
+    socket.on('status', function(sync) {
+      $scope.sync = sync;
+      $scope.apiOnline = (sync.status !== 'aborted' && sync.status !== 'error');
+    });
+
+    // Check for the client conneciton
+    $window.addEventListener('offline', function() {
+      $scope.$apply(function() {
+        $scope.clienteOnline = false;
+      });
+    }, true);
+
+    $window.addEventListener('online', function() {
+      $scope.$apply(function() {
+        $scope.clienteOnline = true;
+      });
+    }, true);
+
+  });
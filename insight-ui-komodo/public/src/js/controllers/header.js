@@ -0,0 +1,58 @@
+'use strict';
+
+angular.module('insight.system').controller('HeaderController',
+  function($scope, $rootScope, $modal, getSocket, Global, Block) {
+    $scope.global = Global;
+
+    $rootScope.currency = {
+      factor: 1,
+      bitstamp: 0,
+      testnet: testnet,
+      netSymbol: netSymbol,
+      symbol: netSymbol
+    };
+
+    $scope.menu = [{
+      'title': 'Blocks',
+      'link': 'blocks'
+    }, {
+      'title': 'Mempool',
+      'link': 'mempool'
+    }, {
+      'title': 'Charts',
+      'link': 'charts'
+    }, {
+      'title': 'Notaries',
+      'link': 'notaries'
+    }, {
+      'title': 'Status',
+      'link': 'status'
+    }];
+
+    $scope.openScannerModal = function() {
+      var modalInstance = $modal.open({
+        templateUrl: 'scannerModal.html',
+        controller: 'ScannerController'
+      });
+    };
+
+    var _getBlock = function(hash) {
+      Block.get({
+        blockHash: hash
+      }, function(res) {
+        $scope.totalBlocks = res.height;
+      });
+    };
+
+    var socket = getSocket($scope);
+    socket.on('connect', function() {
+      socket.emit('subscribe', 'inv');
+
+      socket.on('block', function(block) {
+        var blockHash = block.toString();
+        _getBlock(blockHash);
+      });
+    });
+
+    $rootScope.isCollapsed = true;
+  });
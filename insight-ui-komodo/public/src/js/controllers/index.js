@@ -10,7 +10,7 @@ angular
     Global,
     getSocket,
     Blocks,
-    Block
+    NotarizationStatus
   ) {
     $scope.global = Global;
 
@@ -20,20 +20,7 @@ angular
         },
         function (res) {
 
-          Block.get({
-            blockHash: res.blocks[0].hash
-          }, function (block) {
-            $scope.lastNotarizedHeight = block.lastNotarizedHeight;
-          }, function (e) {
-            if (e.status === 400) {
-              //  $rootScope.flashMessage = 'Invalid Transaction ID: ' + $routeParams.txId;
-            } else if (e.status === 503) {
-              $rootScope.flashMessage = 'Backend Error. ' + e.data;
-            } else {
-              //   $rootScope.flashMessage = 'Block Not Found';
-            }
-
-          });
+          $scope.lastNotarizedHeight = res.lastNotarizedHeight;
 
           $scope.blocks = res.blocks;
           $scope.blocksLength = res.length;
@@ -57,6 +44,13 @@ angular
       socket.on("block", function () {
         _getBlocks();
       });
+
+      socket.on("notarized", function (notarized) {
+        $scope.lastNotarizedHeight = notarized.height;
+        $scope.blocks.forEach(function (b) {
+          NotarizationStatus.update(b.notarizationStatus, b.height, notarized);
+        });
+      });
     };
 
     socket.on("connect", function () {
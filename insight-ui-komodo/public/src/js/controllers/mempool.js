@@ -0,0 +1,74 @@
+'use strict';
+
+angular.module('insight.transactions').controller('MempoolController',
+  function($scope, $rootScope, $timeout, Mempool, getSocket) {
+    $scope.loading = false;
+    $scope.txs = [];
+    $scope.pageNum = 0;
+
+    $scope.humanSince = function(time) {
+      var m = moment.unix(time);
+      return moment.min(m).fromNow();
+    };
+
+    $scope.feeRateLabel = function(bucket) {
+      if (bucket.maxFeeRate === null) {
+        return bucket.minFeeRate + '+';
+      }
+      return bucket.minFeeRate + ' - ' + bucket.maxFeeRate;
+    };
+
+    $scope.list = function(pageNum) {
+      $scope.loading = !$scope.mempool;
+      $scope.pageNum = pageNum || 0;
+
+      Mempool.get({
+        pageNum: $scope.pageNum
+      }, function(res) {
+        var maxCount = Math.max.apply(null, res.feeRateHistogram.map(function(bucket) {
+          return bucket.count;
+        }));
+        res.feeRateHistogram.forEach(function(bucket) {
+          bucket.percentage = maxCount ? Math.round(bucket.count * 100 / maxCount) : 0;
+        });
+        $scope.loading = false;
+        $scope.mempool = res;
+        $scope.txs = res.txs;
+        $scope.pagesTotal = res.pagesTotal;
+      }, function(e) {
+        $scope.loading = false;
+        $rootScope.flashMessage = 'Backend Error. ' + e.data;
+      });
+    };
+
+    // New transactions arrive in bursts, reload at most once per second
+    var reloadTimeout;
+    var _reload = function() {
+      if (reloadTimeout) {
+        return;
+      }
+      reloadTimeout = $timeout(function() {
+        reloadTimeout = null;
+        $scope.list($scope.pageNum);
+      }, 1000);
+    };
+
+    $scope.$on('$destroy', function() {
+      $timeout.cancel(reloadTimeout);
+    });
+
+    var socket = getSocket($scope);
+
+    var _startSocket = function() {
+      socket.emit('subscribe', 'inv');
+      socket.on('tx', _reload);
+      socket.on('block', _reload);
+    };
+
+    socket.on('connect', function() {
+      _startSocket();
+    });
+
+    _startSocket();
+
+  });
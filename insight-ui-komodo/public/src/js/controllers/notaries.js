@@ -0,0 +1,41 @@
+'use strict';
+
+angular.module('insight.notaries').controller('NotariesController',
+  function($scope, $rootScope, NotaryLeaderboard) {
+    $scope.loading = false;
+
+    $scope.windows = [{
+      hours: 24,
+      title: '24 hours'
+    }, {
+      hours: 24 * 7,
+      title: '7 days'
+    }, {
+      hours: 24 * 30,
+      title: '30 days'
+    }];
+
+    $scope.humanSince = function(time) {
+      var m = moment.unix(time);
+      return moment.min(m).fromNow();
+    };
+
+    $scope.list = function(hours) {
+      $scope.loading = true;
+      $scope.hours = hours || $scope.windows[0].hours;
+
+      NotaryLeaderboard.get({
+        hours: $scope.hours
+      }, function(res) {
+        $scope.loading = false;
+        $scope.leaderboard = res;
+      }, function(e) {
+        $scope.loading = false;
+        if (e.status === 501) {
+          $rootScope.flashMessage = 'Notarization index is disabled';
+        } else {
+          $rootScope.flashMessage = 'Backend Error. ' + e.data;
+        }
+      });
+    };
+  });
@@ -0,0 +1,46 @@
+'use strict';
+
+angular.module('insight.blocks').controller('OrphansController',
+  function($scope, $rootScope, Orphans, getSocket) {
+    $scope.loading = false;
+    $scope.orphans = [];
+    $scope.pageNum = 0;
+
+    $scope.humanSince = function(time) {
+      var m = moment.unix(time);
+      return moment.min(m).fromNow();
+    };
+
+    $scope.list = function(pageNum) {
+      $scope.loading = true;
+      $scope.pageNum = pageNum || 0;
+
+      Orphans.get({
+        pageNum: $scope.pageNum
+      }, function(res) {
+        $scope.loading = false;
+        $scope.orphans = res.orphans;
+        $scope.pagesTotal = res.pagesTotal;
+        $scope.totalCount = res.totalCount;
+      }, function(e) {
+        $scope.loading = false;
+        $rootScope.flashMessage = 'Backend Error. ' + e.data;
+      });
+    };
+
+    var socket = getSocket($scope);
+
+    var _startSocket = function() {
+      socket.emit('subscribe', 'inv');
+      socket.on('reorg', function() {
+        $scope.list($scope.pageNum);
+      });
+    };
+
+    socket.on('connect', function() {
+      _startSocket();
+    });
+
+    _startSocket();
+
+  });
@@ -0,0 +1,82 @@
+'use strict';
+
+angular.module('insight.status').controller('StatusController',
+  function($scope, $routeParams, $location, Global, Status, Sync, Health, getSocket, NotarizationStatus) {
+    $scope.global = Global;
+
+    $scope.getStatus = function(q) {
+      Status.get({
+          q: 'get' + q
+        },
+        function(d) {
+          $scope.loaded = 1;
+          angular.extend($scope, d);
+        },
+        function(e) {
+          $scope.error = 'API ERROR: ' + e.data;
+        });
+    };
+
+    $scope.getHealth = function() {
+      Health.get({},
+        function(health) {
+          $scope.health = health;
+        },
+        function(e) {
+          if (e.data && e.data.status) {
+            $scope.health = e.data;
+          } else {
+            $scope.error = 'API ERROR: ' + e.data;
+          }
+        });
+    };
+
+    $scope.humanSince = function(time) {
+      var m = moment.unix(time / 1000);
+      return moment.min(m).fromNow();
+    };
+
+    var _onSyncUpdate = function(sync) {
+      $scope.sync = sync;
+    };
+
+    var _onNotarized = function(notarized) {
+      if ($scope.info) {
+        NotarizationStatus.update($scope.info.notarization, notarized.height, notarized);
+      }
+      if ($scope.health) {
+        $scope.getHealth();
+      }
+    };
+
+    var _startSocket = function () {
+      socket.emit('subscribe', 'sync');
+      socket.on('status', function(sync) {
+        _onSyncUpdate(sync);
+      });
+      socket.emit('subscribe', 'inv');
+      socket.on('notarized', function(notarized) {
+        _onNotarized(notarized);
+      });
+    };
+    
+    var socket = getSocket($scope);
+    socket.on('connect', function() {
+      _startSocket();
+    });
+
+
+    $scope.getSync = function() {
+      _startSocket();
+      Sync.get({},
+        function(sync) {
+          _onSyncUpdate(sync);
+        },
+        function(e) {
+          var err = 'Could not get sync information' + e.toString();
+          $scope.sync = {
+            error: err
+          };
+        });
+    };
+  });
@@ -0,0 +1,73 @@
+'use strict';
+
+angular.module('insight.widget').controller('WidgetController',
+  function($scope, $routeParams, $location, Block, Transaction, getSocket) {
+    $scope.loading = true;
+
+    // The widget links back to the full page on the explorer
+    $scope.pageUrl = $location.absUrl().replace('/widget/', '/');
+
+    var _show = function(item) {
+      $scope.loading = false;
+      $scope.notFound = false;
+      $scope.item = item;
+    };
+
+    var _error = function() {
+      $scope.loading = false;
+      $scope.notFound = true;
+    };
+
+    $scope.findOne = function() {
+      if ($routeParams.txId) {
+        $scope.type = 'tx';
+        Transaction.get({
+          txId: $routeParams.txId
+        }, function(tx) {
+          // the resource resolves a 404 with the response
+          if (!tx || !tx.txid) {
+            return _error();
+          }
+          _show({
+            id: tx.txid,
+            height: tx.blockheight,
+            confirmations: tx.confirmations,
+            notarizationStatus: tx.notarizationStatus
+          });
+        }, _error);
+      } else {
+        $scope.type = 'block';
+        Block.get({
+          blockHash: $routeParams.blockHash
+        }, function(block) {
+          if (!block || !block.hash) {
+            return _error();
+          }
+          _show({
+            id: block.hash,
+            height: block.height,
+            confirmations: block.confirmations,
+            notarizationStatus: block.notarizationStatus
+          });
+        }, _error);
+      }
+    };
+
+    // Reload on new blocks and notarizations, for the confirmations to follow
+    var socket = getSocket($scope);
+
+    socket.on('block', function() {
+      $scope.findOne();
+    });
+    socket.on('notarized', function() {
+      $scope.findOne();
+    });
+
+    // listeners stay registered across reconnections, only the subscription is lost
+    socket.on('connect', function() {
+      socket.emit('subscribe', 'inv');
+    });
+
+    socket.emit('subscribe', 'inv');
+
+  });
@@ -0,0 +1,35 @@
+'use strict';
+
+angular.module('insight.blocks')
+  .factory('Block',
+    function($resource) {
+    return $resource(window.apiPrefix + '/block/:blockHash', {
+      blockHash: '@blockHash'
+    }, {
+      get: {
+        method: 'GET',
+        interceptor: {
+          response: function (res) {
+            return res.data;
+          },
+          responseError: function (res) {
+            if (res.status === 404) {
+              return res;
+            }
+          }
+        }
+      }
+    });
+  })
+  .factory('Blocks',
+    function($resource) {
+      return $resource(window.apiPrefix + '/blocks');
+  })
+  .factory('BlockByHeight',
+    function($resource) {
+      return $resource(window.apiPrefix + '/block-index/:blockHeight');
+  })
+  .factory('Orphans',
+    function($resource) {
+      return $resource(window.apiPrefix + '/orphans');
+  });
@@ -0,0 +1,31 @@
+'use strict';
+
+angular.module('insight.notaries')
+  .factory('NotaryLeaderboard',
+    function($resource) {
+      return $resource(window.apiPrefix + '/notaries/leaderboard', {
+        hours: '@hours'
+      });
+  })
+  .factory('NotarizationStatus',
+    function() {
+      return {
+        // Applies a notarized height received on the socket to the notarization status
+        // of a block or transaction at a height, as returned by the API
+        update: function(status, height, notarized) {
+          if (!status || notarized.height < status.notarizedHeight) {
+            return;
+          }
+          status.dpowEnabled = true;
+          if (status.state === 'notarized') {
+            return;
+          }
+          if (height >= 0 && height <= notarized.height) {
+            status.state = 'notarized';
+          }
+          status.notarizedHeight = notarized.height;
+          status.notarizedHash = notarized.hash;
+          status.notarizationTxid = notarized.txid;
+        }
+      };
+  });